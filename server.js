@@ -12,10 +12,21 @@ const { logger } = require('./src/utils/logger');
 const { initializeDatabase } = require('./src/database/config');
 const webSocketManager = require('./src/ws/config');
 const messageService = require('./src/ws/ws');
+const auctionService = require('./src/services/auctions');
+const notificationService = require('./src/services/notifications');
+const geminiService = require('./src/services/gemini/service');
+const mailerService = require('./src/services/mailer/service');
+const jobQueue = require('./src/services/jobs');
+const enrichmentService = require('./src/services/enrichment');
 
 const app = express();
 const server = http.createServer(app);
 
+// Trust X-Forwarded-For from this many proxies so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY));
+}
+
 // Security and performance middleware (with relaxed CORS)
 app.use(helmet({
   crossOriginEmbedderPolicy: false,
@@ -55,7 +66,9 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    cors: 'open - all origins allowed'
+    cors: 'open - all origins allowed',
+    ai: geminiService.getHealth(),
+    jobs: jobQueue.getStats()
   });
 });
 
@@ -77,6 +90,13 @@ app.use('*', (req, res) => {
 async function startServer() {
   logger.info('Starting server...');
   try {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('Missing JWT_SECRET configuration');
+    }
+
+    // Fails for the console transport in production
+    mailerService.getTransport();
+
     // Initialize database connection
     await initializeDatabase();
     logger.info('Database connected successfully');
@@ -86,7 +106,8 @@ async function startServer() {
     // Set up WebSocket event listeners for business logic
     webSocketManager.on('user_authenticated', ({ username, socket, userData }) => {
       logger.info(`Business logic: User ${username} authenticated`);
-      // Add any business logic here
+      // Replay notifications stored while the user was offline
+      notificationService.deliverPending(username);
     });
 
     webSocketManager.on('user_disconnected', ({ username, reason }) => {
@@ -100,6 +121,13 @@ async function startServer() {
 
     logger.info('WebSocket initialized successfully');
 
+    // Close expired auctions in the background
+    auctionService.start();
+
+    // Generate meme captions in the background
+    enrichmentService.register();
+    jobQueue.start();
+
     const PORT = process.env.PORT || 4001;
     server.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
@@ -115,6 +143,8 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  auctionService.stop();
+  jobQueue.stop();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
@@ -123,6 +153,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  auctionService.stop();
+  jobQueue.stop();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
@@ -31,6 +31,12 @@ const options = {
                         email: { type: 'string', format: 'email' },
                         username: { type: 'string' },
                         name: { type: 'string' },
+                        bio: { type: 'string', nullable: true },
+                        avatar_url: { type: 'string', format: 'uri', nullable: true },
+                        role: { type: 'string', enum: ['user', 'moderator', 'admin'] },
+                        email_verified_at: { type: 'string', format: 'date-time', nullable: true },
+                        followers_count: { type: 'integer', description: 'Only on the profile endpoint' },
+                        following_count: { type: 'integer', description: 'Only on the profile endpoint' },
                         created_at: { type: 'string', format: 'date-time' },
                         updated_at: { type: 'string', format: 'date-time' }
                     }
@@ -57,8 +63,17 @@ const options = {
                     type: 'object',
                     properties: {
                         user: { $ref: '#/components/schemas/User' },
-                        token: { type: 'string' },
-                        expiresIn: { type: 'string' }
+                        token: { type: 'string', description: 'Short-lived access token' },
+                        expiresIn: { type: 'string' },
+                        refreshToken: { type: 'string', description: 'Single-use token for POST /api/auth/refresh' },
+                        refreshExpiresAt: { type: 'string', format: 'date-time' }
+                    }
+                },
+                RefreshRequest: {
+                    type: 'object',
+                    required: ['refreshToken'],
+                    properties: {
+                        refreshToken: { type: 'string' }
                     }
                 },
                 // ...existing schemas...
@@ -69,13 +84,27 @@ const options = {
                         text: { type: 'string' },
                         image_url: { type: 'string', format: 'uri' },
                         meta: { type: 'object' },
-                        caption: { type: 'string' },
-                        vibe_description: { type: 'string' },
+                        tags: { type: 'array', items: { type: 'string' } },
+                        caption: { type: 'string', nullable: true },
+                        vibe_description: { type: 'string', nullable: true },
+                        enrichment_status: { type: 'string', enum: ['pending', 'completed', 'failed'], description: 'Caption and vibe description are generated in the background; watch for the meme_enriched event' },
                         upvote_count: { type: 'integer' },
                         downvote_count: { type: 'integer' },
                         total_bid_amount: { type: 'number' },
                         username: { type: 'string' },
+                        owner_username: { type: 'string' },
                         is_active: { type: 'boolean' },
+                        moderation_status: { type: 'string', enum: ['visible', 'hidden', 'removed'], description: 'hidden while reports or safety screening await review' },
+                        auction_status: { type: 'string', enum: ['open', 'closed'], nullable: true },
+                        auction_starts_at: { type: 'string', format: 'date-time', nullable: true },
+                        auction_ends_at: { type: 'string', format: 'date-time', nullable: true },
+                        reserve_price: { type: 'number' },
+                        winner_username: { type: 'string', nullable: true },
+                        winning_bid_amount: { type: 'number', nullable: true },
+                        hot_score: { type: 'number' },
+                        rising_score: { type: 'number' },
+                        controversy_score: { type: 'number' },
+                        engagement_score: { type: 'number' },
                         created_at: { type: 'string', format: 'date-time' },
                         updated_at: { type: 'string', format: 'date-time' },
                         top_bidder: {
@@ -90,38 +119,66 @@ const options = {
                 },
                 CreateMemeRequest: {
                     type: 'object',
-                    required: ['text', 'image_url', 'tags', 'username'],
+                    required: ['text', 'image_url', 'tags'],
                     properties: {
                         text: { type: 'string', maxLength: 1000 },
                         image_url: { type: 'string', format: 'uri' },
                         tags: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 10 },
-                        username: { type: 'string', maxLength: 50 }
+                        username: { type: 'string', maxLength: 50, description: 'Optional; must match the authenticated user' },
+                        auction: {
+                            type: 'object',
+                            required: ['ends_at'],
+                            properties: {
+                                starts_at: { type: 'string', format: 'date-time', description: 'Defaults to now' },
+                                ends_at: { type: 'string', format: 'date-time' },
+                                reserve_price: { type: 'number', minimum: 0, default: 0 }
+                            }
+                        }
+                    }
+                },
+                UpdateMemeRequest: {
+                    type: 'object',
+                    properties: {
+                        text: { type: 'string', maxLength: 1000 },
+                        tags: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 10 }
                     }
                 },
                 BidRequest: {
                     type: 'object',
-                    required: ['meme_id', 'username', 'bid_amount'],
+                    required: ['meme_id', 'bid_amount'],
                     properties: {
                         meme_id: { type: 'integer', minimum: 1 },
-                        username: { type: 'string', maxLength: 50 },
+                        username: { type: 'string', maxLength: 50, description: 'Optional; must match the authenticated user' },
                         bid_amount: { type: 'number', minimum: 0.01 }
                     }
                 },
                 VoteRequest: {
                     type: 'object',
-                    required: ['meme_id', 'username', 'voted'],
+                    required: ['meme_id', 'voted'],
                     properties: {
                         meme_id: { type: 'integer', minimum: 1 },
-                        username: { type: 'string', maxLength: 50 },
-                        voted: { type: 'integer', enum: [0, 1] }
+                        username: { type: 'string', maxLength: 50, description: 'Optional; must match the authenticated user' },
+                        voted: { type: 'integer', enum: [0, 1], nullable: true, description: '1 for up, 0 for down, null to retract' }
+                    }
+                },
+                VoteResult: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        meme_id: { type: 'integer' },
+                        changed: { type: 'boolean' },
+                        previous_vote: { type: 'integer', enum: [0, 1], nullable: true },
+                        vote: { type: 'integer', enum: [0, 1], nullable: true },
+                        upvote_count: { type: 'integer' },
+                        downvote_count: { type: 'integer' }
                     }
                 },
                 LeaderboardRequest: {
                     type: 'object',
                     properties: {
-                        page: { type: 'integer', minimum: 1, default: 1 },
+                        cursor: { type: 'string', description: 'nextCursor or prevCursor from a previous response' },
                         pageSize: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
-                        sortBy: { type: 'string', enum: ['upvote_count', 'downvote_count', 'total_bid_amount', 'created_at'], default: 'upvote_count' },
+                        sortBy: { type: 'string', enum: ['upvote_count', 'downvote_count', 'total_bid_amount', 'created_at', 'hot', 'rising', 'controversial', 'top_week'], default: 'upvote_count' },
                         sortOrder: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
                         filters: {
                             type: 'object',
@@ -130,9 +187,169 @@ const options = {
                                 minUpvotes: { type: 'integer', minimum: 0 },
                                 minBidAmount: { type: 'number', minimum: 0 }
                             }
+                        },
+                        includeTotal: { type: 'boolean', default: false, description: 'Also run the exact count query' }
+                    }
+                },
+                CursorPagination: {
+                    type: 'object',
+                    properties: {
+                        limit: { type: 'integer' },
+                        nextCursor: { type: 'string', nullable: true },
+                        prevCursor: { type: 'string', nullable: true },
+                        total: { type: 'integer', description: 'Only present when includeTotal is set' }
+                    }
+                },
+                Wallet: {
+                    type: 'object',
+                    properties: {
+                        username: { type: 'string' },
+                        balance: { type: 'number' },
+                        updated_at: { type: 'string', format: 'date-time', nullable: true }
+                    }
+                },
+                LedgerEntry: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        entry_group: { type: 'string' },
+                        amount: { type: 'number', description: 'Positive for credits, negative for debits' },
+                        balance_after: { type: 'number', nullable: true },
+                        entry_type: { type: 'string', example: 'bid' },
+                        reference: { type: 'string', nullable: true },
+                        created_at: { type: 'string', format: 'date-time' }
+                    }
+                },
+                AdminUser: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        email: { type: 'string', format: 'email' },
+                        username: { type: 'string' },
+                        name: { type: 'string' },
+                        role: { type: 'string', enum: ['user', 'moderator', 'admin'] },
+                        email_verified_at: { type: 'string', format: 'date-time', nullable: true },
+                        banned_at: { type: 'string', format: 'date-time', nullable: true },
+                        banned_reason: { type: 'string', nullable: true },
+                        online: { type: 'boolean', description: 'Only on the user list' },
+                        created_at: { type: 'string', format: 'date-time' },
+                        updated_at: { type: 'string', format: 'date-time' }
+                    }
+                },
+                Report: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        meme_id: { type: 'integer' },
+                        reporter_username: { type: 'string', nullable: true, description: 'Null for memes held by safety screening' },
+                        reason: { type: 'string', enum: ['spam', 'harassment', 'hate', 'nsfw', 'violence', 'copyright', 'other', 'ai_screening'] },
+                        details: { type: 'string', nullable: true },
+                        status: { type: 'string', enum: ['open', 'claimed', 'resolved', 'dismissed'] },
+                        claimed_by: { type: 'string', nullable: true },
+                        claimed_at: { type: 'string', format: 'date-time', nullable: true },
+                        reviewed_by: { type: 'string', nullable: true },
+                        reviewed_at: { type: 'string', format: 'date-time', nullable: true },
+                        review_note: { type: 'string', nullable: true },
+                        meme: { type: 'object', description: 'Only on the queue listing' },
+                        created_at: { type: 'string', format: 'date-time' }
+                    }
+                },
+                Job: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        type: { type: 'string', example: 'enrich_meme' },
+                        payload: { type: 'object' },
+                        status: { type: 'string', enum: ['pending', 'running', 'completed', 'dead'] },
+                        attempts: { type: 'integer' },
+                        max_attempts: { type: 'integer' },
+                        run_at: { type: 'string', format: 'date-time' },
+                        locked_by: { type: 'string', nullable: true },
+                        locked_at: { type: 'string', format: 'date-time', nullable: true },
+                        last_error: { type: 'string', nullable: true },
+                        completed_at: { type: 'string', format: 'date-time', nullable: true },
+                        created_at: { type: 'string', format: 'date-time' },
+                        updated_at: { type: 'string', format: 'date-time' }
+                    }
+                },
+                ModerationAction: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        actor_username: { type: 'string', description: "'system' for automatic actions" },
+                        action: { type: 'string', example: 'resolve_report' },
+                        target_type: { type: 'string', enum: ['meme', 'user', 'report'] },
+                        target_id: { type: 'string' },
+                        details: { type: 'object' },
+                        created_at: { type: 'string', format: 'date-time' }
+                    }
+                },
+                Notification: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        type: { type: 'string', example: 'outbid' },
+                        payload: { type: 'object' },
+                        read: { type: 'boolean' },
+                        read_at: { type: 'string', format: 'date-time', nullable: true },
+                        created_at: { type: 'string', format: 'date-time' }
+                    }
+                },
+                TrendingTag: {
+                    type: 'object',
+                    properties: {
+                        tag: { type: 'string' },
+                        meme_count: { type: 'integer' },
+                        score: { type: 'number' }
+                    }
+                },
+                PublicProfile: {
+                    type: 'object',
+                    properties: {
+                        username: { type: 'string' },
+                        name: { type: 'string' },
+                        bio: { type: 'string', nullable: true },
+                        avatar_url: { type: 'string', format: 'uri', nullable: true },
+                        joined_at: { type: 'string', format: 'date-time' },
+                        online: { type: 'boolean' },
+                        stats: {
+                            type: 'object',
+                            properties: {
+                                meme_count: { type: 'integer' },
+                                total_upvotes: { type: 'integer' },
+                                total_bid_value: { type: 'number' },
+                                followers_count: { type: 'integer' },
+                                following_count: { type: 'integer' }
+                            }
+                        },
+                        top_meme: {
+                            type: 'object',
+                            nullable: true,
+                            properties: {
+                                id: { type: 'integer' },
+                                text: { type: 'string' },
+                                image_url: { type: 'string', format: 'uri' },
+                                upvote_count: { type: 'integer' },
+                                total_bid_amount: { type: 'number' }
+                            }
                         }
                     }
                 },
+                UpdateProfileRequest: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', minLength: 2, maxLength: 100 },
+                        bio: { type: 'string', maxLength: 500, nullable: true },
+                        avatar_url: { type: 'string', format: 'uri', nullable: true }
+                    }
+                },
+                FollowEntry: {
+                    type: 'object',
+                    properties: {
+                        username: { type: 'string' },
+                        followed_at: { type: 'string', format: 'date-time' }
+                    }
+                },
                 ApiResponse: {
                     type: 'object',
                     properties: {
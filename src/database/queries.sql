@@ -5,6 +5,13 @@ CREATE TABLE users (
     username VARCHAR(50) UNIQUE NOT NULL,
     name VARCHAR(100) NOT NULL,
     password VARCHAR(255) NOT NULL,
+    bio VARCHAR(500),
+    avatar_url TEXT,
+    email_verified_at TIMESTAMP WITH TIME ZONE,
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin')),
+    banned_at TIMESTAMP WITH TIME ZONE,
+    banned_reason VARCHAR(500),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -17,14 +24,36 @@ CREATE TABLE memes (
     meta JSONB DEFAULT '[]',
     caption TEXT,
     vibe_description TEXT,
+    -- caption and vibe_description are filled in by the enrich_meme background job
+    enrichment_status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (enrichment_status IN ('pending', 'completed', 'failed')),
     upvote_count INTEGER DEFAULT 0,
     downvote_count INTEGER DEFAULT 0,
     total_bid_amount DECIMAL(10,2) DEFAULT 0,
     username VARCHAR(50) NOT NULL,
+    owner_username VARCHAR(50),
     is_active BOOLEAN DEFAULT true,
+    -- hidden: pulled automatically by reports pending review; removed: a moderator upheld a report
+    moderation_status VARCHAR(20) NOT NULL DEFAULT 'visible' CHECK (moderation_status IN ('visible', 'hidden', 'removed')),
+    -- Optional auction window; NULL auction_status means bids are always open
+    auction_status VARCHAR(20) CHECK (auction_status IN ('open', 'closed')),
+    auction_starts_at TIMESTAMP WITH TIME ZONE,
+    auction_ends_at TIMESTAMP WITH TIME ZONE,
+    reserve_price DECIMAL(10,2) DEFAULT 0,
+    winner_username VARCHAR(50),
+    winning_bid_amount DECIMAL(10,2),
+    -- Ranking scores, kept up to date by the compute_meme_scores trigger
+    engagement_score DOUBLE PRECISION DEFAULT 0,
+    hot_score DOUBLE PRECISION DEFAULT 0,
+    rising_score DOUBLE PRECISION DEFAULT 0,
+    controversy_score DOUBLE PRECISION DEFAULT 0,
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        to_tsvector('english', COALESCE(text, '') || ' ' || COALESCE(caption, '') || ' ' || COALESCE(vibe_description, ''))
+    ) STORED,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    FOREIGN KEY (username) REFERENCES users(username)
+    FOREIGN KEY (username) REFERENCES users(username),
+    FOREIGN KEY (owner_username) REFERENCES users(username),
+    FOREIGN KEY (winner_username) REFERENCES users(username)
 );
 
 -- Create Bids table
@@ -51,7 +80,8 @@ CREATE TABLE votes (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     FOREIGN KEY (meme_id) REFERENCES memes(id),
     FOREIGN KEY (username) REFERENCES users(username),
-    UNIQUE(meme_id, username, is_active)
+    -- One row per user and meme; a retracted vote is kept with is_active = false
+    UNIQUE(meme_id, username)
 );
 
 -- Create Bid Summaries table
@@ -66,11 +96,46 @@ CREATE TABLE bid_summaries (
     FOREIGN KEY (username) REFERENCES users(username)
 );
 
+-- Bring databases created before these columns existed up to date; the
+-- indexes and functions below depend on them
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS bio VARCHAR(500),
+    ADD COLUMN IF NOT EXISTS avatar_url TEXT,
+    ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin')),
+    ADD COLUMN IF NOT EXISTS banned_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS banned_reason VARCHAR(500);
+
+ALTER TABLE memes
+    ADD COLUMN IF NOT EXISTS enrichment_status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (enrichment_status IN ('pending', 'completed', 'failed')),
+    ADD COLUMN IF NOT EXISTS owner_username VARCHAR(50) REFERENCES users(username),
+    ADD COLUMN IF NOT EXISTS moderation_status VARCHAR(20) NOT NULL DEFAULT 'visible' CHECK (moderation_status IN ('visible', 'hidden', 'removed')),
+    ADD COLUMN IF NOT EXISTS auction_status VARCHAR(20) CHECK (auction_status IN ('open', 'closed')),
+    ADD COLUMN IF NOT EXISTS auction_starts_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS auction_ends_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS reserve_price DECIMAL(10,2) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS winner_username VARCHAR(50) REFERENCES users(username),
+    ADD COLUMN IF NOT EXISTS winning_bid_amount DECIMAL(10,2),
+    ADD COLUMN IF NOT EXISTS engagement_score DOUBLE PRECISION DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS hot_score DOUBLE PRECISION DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS rising_score DOUBLE PRECISION DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS controversy_score DOUBLE PRECISION DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+        to_tsvector('english', COALESCE(text, '') || ' ' || COALESCE(caption, '') || ' ' || COALESCE(vibe_description, ''))
+    ) STORED;
+
 -- Create indexes for better performance
 CREATE INDEX idx_memes_username ON memes(username);
 CREATE INDEX idx_memes_is_active ON memes(is_active);
 CREATE INDEX idx_memes_created_at ON memes(created_at);
 CREATE INDEX idx_memes_upvote_count ON memes(upvote_count);
+CREATE INDEX idx_memes_auction_open ON memes(auction_ends_at) WHERE auction_status = 'open';
+CREATE INDEX idx_memes_search_vector ON memes USING GIN(search_vector);
+CREATE INDEX idx_memes_hot_score ON memes(hot_score DESC) WHERE is_active = true;
+CREATE INDEX idx_memes_rising_score ON memes(rising_score DESC) WHERE is_active = true;
+CREATE INDEX idx_memes_controversy_score ON memes(controversy_score DESC) WHERE is_active = true;
+CREATE INDEX idx_memes_engagement_score ON memes(engagement_score DESC) WHERE is_active = true;
 CREATE INDEX idx_bids_meme_id ON bids(meme_id);
 CREATE INDEX idx_votes_meme_id ON votes(meme_id);
 CREATE INDEX idx_votes_username ON votes(username);
@@ -89,4 +154,1019 @@ CREATE TRIGGER update_memes_updated_at BEFORE UPDATE ON memes FOR EACH ROW EXECU
 CREATE TRIGGER update_bids_updated_at BEFORE UPDATE ON bids FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_votes_updated_at BEFORE UPDATE ON votes FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_bid_summaries_updated_at BEFORE UPDATE ON bid_summaries FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-*/
\ No newline at end of file
+*/
+
+-- Create Wallets table (one credit balance per user)
+CREATE TABLE wallets (
+    username VARCHAR(50) PRIMARY KEY,
+    balance DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (balance >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    FOREIGN KEY (username) REFERENCES users(username)
+);
+
+-- Create Ledger Entries table (append-only, double-entry).
+-- Every transfer writes one debit and one credit row sharing an entry_group,
+-- so the amounts of a group always sum to zero. Accounts are either
+-- 'user:<username>' (backed by a wallet) or 'system:<name>'.
+CREATE TABLE ledger_entries (
+    id BIGSERIAL PRIMARY KEY,
+    entry_group VARCHAR(100) NOT NULL,
+    account VARCHAR(100) NOT NULL,
+    username VARCHAR(50),
+    amount DECIMAL(12,2) NOT NULL CHECK (amount <> 0),
+    balance_after DECIMAL(12,2),
+    entry_type VARCHAR(30) NOT NULL,
+    reference VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    FOREIGN KEY (username) REFERENCES users(username)
+);
+
+CREATE INDEX idx_ledger_entries_username ON ledger_entries(username, created_at DESC);
+CREATE INDEX idx_ledger_entries_entry_group ON ledger_entries(entry_group);
+
+-- Give existing users an empty wallet
+INSERT INTO wallets (username) SELECT username FROM users ON CONFLICT DO NOTHING;
+
+CREATE TRIGGER update_wallets_updated_at BEFORE UPDATE ON wallets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Ledger entries are never modified once written
+CREATE OR REPLACE FUNCTION prevent_ledger_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'ledger_entries is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER ledger_entries_append_only BEFORE UPDATE OR DELETE ON ledger_entries FOR EACH ROW EXECUTE FUNCTION prevent_ledger_mutation();
+
+-- Move credits between two accounts and record both sides in the ledger.
+-- Debiting a user account fails when the wallet balance is too low.
+CREATE OR REPLACE FUNCTION ledger_transfer(
+    p_entry_group VARCHAR(100),
+    p_debit_account VARCHAR(100),
+    p_credit_account VARCHAR(100),
+    p_amount DECIMAL(12,2),
+    p_entry_type VARCHAR(30),
+    p_reference VARCHAR(100) DEFAULT NULL
+)
+RETURNS VOID AS $$
+DECLARE
+    v_debit_user VARCHAR(50);
+    v_credit_user VARCHAR(50);
+    v_debit_balance DECIMAL(12,2);
+    v_credit_balance DECIMAL(12,2);
+BEGIN
+    IF p_amount <= 0 THEN
+        RAISE EXCEPTION 'Transfer amount must be positive';
+    END IF;
+
+    IF p_debit_account LIKE 'user:%' THEN
+        v_debit_user := substring(p_debit_account FROM 6);
+        UPDATE wallets
+        SET balance = balance - p_amount
+        WHERE username = v_debit_user AND balance >= p_amount
+        RETURNING balance INTO v_debit_balance;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Insufficient balance';
+        END IF;
+    END IF;
+
+    IF p_credit_account LIKE 'user:%' THEN
+        v_credit_user := substring(p_credit_account FROM 6);
+        INSERT INTO wallets (username, balance)
+        VALUES (v_credit_user, p_amount)
+        ON CONFLICT (username) DO UPDATE SET balance = wallets.balance + EXCLUDED.balance
+        RETURNING balance INTO v_credit_balance;
+    END IF;
+
+    INSERT INTO ledger_entries (entry_group, account, username, amount, balance_after, entry_type, reference)
+    VALUES
+        (p_entry_group, p_debit_account, v_debit_user, -p_amount, v_debit_balance, p_entry_type, p_reference),
+        (p_entry_group, p_credit_account, v_credit_user, p_amount, v_credit_balance, p_entry_type, p_reference);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create Notifications table (inbox of every user-targeted event)
+CREATE TABLE notifications (
+    id BIGSERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    FOREIGN KEY (username) REFERENCES users(username)
+);
+
+CREATE INDEX idx_notifications_username ON notifications(username, created_at DESC);
+CREATE INDEX idx_notifications_unread ON notifications(username, created_at) WHERE read_at IS NULL;
+
+-- Refund a bid still held in escrow. Bids that were never escrowed or were
+-- already refunded or settled are left alone, so this is safe to call twice.
+CREATE OR REPLACE FUNCTION release_bid(p_transaction_id VARCHAR(100))
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_bid bids%ROWTYPE;
+BEGIN
+    SELECT * INTO v_bid FROM bids WHERE transaction_id = p_transaction_id;
+    IF NOT FOUND
+        OR NOT EXISTS (SELECT 1 FROM ledger_entries WHERE entry_group = p_transaction_id AND entry_type = 'bid')
+        OR EXISTS (
+            SELECT 1 FROM ledger_entries
+            WHERE entry_group IN ('refund_' || p_transaction_id, 'settle_' || p_transaction_id)
+        ) THEN
+        RETURN false;
+    END IF;
+
+    PERFORM ledger_transfer(
+        'refund_' || p_transaction_id,
+        'system:bid_escrow',
+        'user:' || v_bid.username,
+        v_bid.bid_amount,
+        'bid_refund',
+        v_bid.meme_id::TEXT
+    );
+    RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Place a bid atomically: record the bid, bump the meme total and keep the
+-- highest bid in bid_summaries. The meme row is locked so concurrent bids on
+-- the same meme are serialized.
+-- For auctioned memes the bid is moved into escrow until close_auction pays
+-- it out or refunds it. It must land inside the auction window, and a bid
+-- within p_snipe_window_seconds of the end pushes the end out so that it is
+-- at least p_snipe_extension_seconds away.
+-- Memes without an auction never settle, so only their top bid is held: a new
+-- top bid releases the one it displaces and moves into escrow itself, and a
+-- bid that does not beat the top is outbid already and only has to be covered
+-- by the wallet. Held credits are out of the wallet, so every check is made
+-- against the balance left after holds. Removing the meme releases its bids.
+CREATE OR REPLACE FUNCTION place_bid(
+    p_meme_id INTEGER,
+    p_username VARCHAR(50),
+    p_bid_amount DECIMAL(10,2),
+    p_transaction_id VARCHAR(100),
+    p_snipe_window_seconds INTEGER DEFAULT 0,
+    p_snipe_extension_seconds INTEGER DEFAULT 0
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_meme memes%ROWTYPE;
+    v_previous bid_summaries%ROWTYPE;
+    v_total DECIMAL(10,2);
+    v_balance DECIMAL(12,2);
+    v_is_top_bid BOOLEAN;
+    v_auction_extended BOOLEAN := false;
+BEGIN
+    IF p_bid_amount <= 0 THEN
+        RAISE EXCEPTION 'Bid amount must be positive';
+    END IF;
+
+    SELECT * INTO v_meme FROM memes WHERE id = p_meme_id AND is_active = true FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Meme with ID % not found', p_meme_id;
+    END IF;
+
+    IF v_meme.auction_status IS NOT NULL THEN
+        IF v_meme.auction_status <> 'open'
+            OR NOW() < v_meme.auction_starts_at
+            OR NOW() >= v_meme.auction_ends_at THEN
+            RAISE EXCEPTION 'Auction is not open for bidding';
+        END IF;
+
+        IF p_snipe_window_seconds > 0
+            AND v_meme.auction_ends_at - NOW() <= make_interval(secs => p_snipe_window_seconds) THEN
+            v_meme.auction_ends_at := GREATEST(
+                v_meme.auction_ends_at,
+                NOW() + make_interval(secs => p_snipe_extension_seconds)
+            );
+            UPDATE memes SET auction_ends_at = v_meme.auction_ends_at WHERE id = p_meme_id;
+            v_auction_extended := true;
+        END IF;
+    END IF;
+
+    SELECT * INTO v_previous FROM bid_summaries WHERE meme_id = p_meme_id;
+    v_is_top_bid := v_previous.meme_id IS NULL OR p_bid_amount > v_previous.bid_amount;
+
+    IF v_meme.auction_status IS NOT NULL OR v_is_top_bid THEN
+        -- Release the displaced bid first so a bidder can raise their own bid
+        IF v_meme.auction_status IS NULL AND v_previous.meme_id IS NOT NULL THEN
+            PERFORM release_bid(v_previous.transaction_id);
+        END IF;
+
+        PERFORM ledger_transfer(
+            p_transaction_id,
+            'user:' || p_username,
+            'system:bid_escrow',
+            p_bid_amount,
+            'bid',
+            p_meme_id::TEXT
+        );
+    ELSIF NOT EXISTS (SELECT 1 FROM wallets WHERE username = p_username AND balance >= p_bid_amount) THEN
+        RAISE EXCEPTION 'Insufficient balance';
+    END IF;
+
+    INSERT INTO bids (transaction_id, meme_id, username, bid_amount)
+    VALUES (p_transaction_id, p_meme_id, p_username, p_bid_amount);
+
+    UPDATE memes
+    SET total_bid_amount = COALESCE(total_bid_amount, 0) + p_bid_amount
+    WHERE id = p_meme_id
+    RETURNING total_bid_amount INTO v_total;
+
+    IF v_is_top_bid THEN
+        INSERT INTO bid_summaries (meme_id, transaction_id, bid_amount, username)
+        VALUES (p_meme_id, p_transaction_id, p_bid_amount, p_username)
+        ON CONFLICT (meme_id) DO UPDATE
+        SET transaction_id = EXCLUDED.transaction_id,
+            bid_amount = EXCLUDED.bid_amount,
+            username = EXCLUDED.username;
+    END IF;
+
+    SELECT balance INTO v_balance FROM wallets WHERE username = p_username;
+
+    RETURN jsonb_build_object(
+        'transaction_id', p_transaction_id,
+        'meme_id', p_meme_id,
+        'meme_text', v_meme.text,
+        'total_bid_amount', v_total,
+        'is_top_bid', v_is_top_bid,
+        'top_bidder', CASE WHEN v_is_top_bid THEN p_username ELSE v_previous.username END,
+        'top_bid_amount', CASE WHEN v_is_top_bid THEN p_bid_amount ELSE v_previous.bid_amount END,
+        'previous_top_bidder', v_previous.username,
+        'previous_top_bid_amount', v_previous.bid_amount,
+        'balance', v_balance,
+        'auction_ends_at', v_meme.auction_ends_at,
+        'auction_extended', v_auction_extended
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Taking a meme down for good (owner deletion, moderator removal, account
+-- deletion) hands every bid still held back to its bidder and closes an open
+-- auction without a winner. Memes hidden pending review keep their bids.
+CREATE OR REPLACE FUNCTION release_removed_meme_bids()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_bid RECORD;
+BEGIN
+    FOR v_bid IN SELECT transaction_id FROM bids WHERE meme_id = NEW.id LOOP
+        PERFORM release_bid(v_bid.transaction_id);
+    END LOOP;
+
+    IF NEW.auction_status = 'open' THEN
+        NEW.auction_status := 'closed';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER release_removed_meme_bids BEFORE UPDATE OF is_active, moderation_status ON memes
+FOR EACH ROW WHEN (NEW.is_active IS FALSE AND NEW.moderation_status <> 'hidden')
+EXECUTE FUNCTION release_removed_meme_bids();
+
+-- Bids on memes without an auction used to be escrowed with nothing to ever
+-- release them. Refund every one still held except the top bid of a meme that
+-- is still up. Top bids placed while plain bids were not escrowed stay
+-- unheld; release_bid skips them once they are outbid.
+DO $$
+DECLARE
+    v_bid RECORD;
+BEGIN
+    FOR v_bid IN
+        SELECT b.transaction_id
+        FROM bids b
+        JOIN memes m ON m.id = b.meme_id
+        LEFT JOIN bid_summaries s ON s.meme_id = b.meme_id
+        WHERE m.auction_status IS NULL
+            AND (
+                (m.is_active IS FALSE AND m.moderation_status <> 'hidden')
+                OR s.transaction_id IS DISTINCT FROM b.transaction_id
+            )
+    LOOP
+        PERFORM release_bid(v_bid.transaction_id);
+    END LOOP;
+END;
+$$;
+
+-- Close an expired auction: pick the top bid as winner if it meets the
+-- reserve, pay the owner from escrow, refund every other bid and hand
+-- ownership to the winner. Returns NULL when the auction is not due.
+CREATE OR REPLACE FUNCTION close_auction(p_meme_id INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    v_meme memes%ROWTYPE;
+    v_top bid_summaries%ROWTYPE;
+    v_seller VARCHAR(50);
+    v_winner VARCHAR(50);
+    v_bid RECORD;
+BEGIN
+    SELECT * INTO v_meme FROM memes WHERE id = p_meme_id FOR UPDATE;
+    IF NOT FOUND OR v_meme.auction_status IS DISTINCT FROM 'open' OR v_meme.auction_ends_at > NOW() THEN
+        RETURN NULL;
+    END IF;
+
+    v_seller := COALESCE(v_meme.owner_username, v_meme.username);
+    SELECT * INTO v_top FROM bid_summaries WHERE meme_id = p_meme_id;
+
+    IF v_top.meme_id IS NOT NULL AND v_top.bid_amount >= COALESCE(v_meme.reserve_price, 0) THEN
+        v_winner := v_top.username;
+        PERFORM ledger_transfer(
+            'settle_' || v_top.transaction_id,
+            'system:bid_escrow',
+            'user:' || v_seller,
+            v_top.bid_amount,
+            'auction_settlement',
+            p_meme_id::TEXT
+        );
+    END IF;
+
+    FOR v_bid IN
+        SELECT transaction_id, username, bid_amount FROM bids
+        WHERE meme_id = p_meme_id
+            AND transaction_id IS DISTINCT FROM (CASE WHEN v_winner IS NULL THEN NULL ELSE v_top.transaction_id END)
+    LOOP
+        PERFORM ledger_transfer(
+            'refund_' || v_bid.transaction_id,
+            'system:bid_escrow',
+            'user:' || v_bid.username,
+            v_bid.bid_amount,
+            'bid_refund',
+            p_meme_id::TEXT
+        );
+    END LOOP;
+
+    UPDATE memes
+    SET auction_status = 'closed',
+        winner_username = v_winner,
+        winning_bid_amount = CASE WHEN v_winner IS NULL THEN NULL ELSE v_top.bid_amount END,
+        owner_username = COALESCE(v_winner, v_seller)
+    WHERE id = p_meme_id;
+
+    RETURN jsonb_build_object(
+        'meme_id', p_meme_id,
+        'meme_text', v_meme.text,
+        'seller', v_seller,
+        'winner', v_winner,
+        'winning_bid_amount', CASE WHEN v_winner IS NULL THEN NULL ELSE v_top.bid_amount END,
+        'reserve_price', v_meme.reserve_price,
+        'reserve_met', v_winner IS NOT NULL
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- Migrate databases created with UNIQUE(meme_id, username, is_active), which
+-- allowed an active and a retracted row for the same voter. Keep the active
+-- row (or the latest retracted one) and switch to one row per voter, which
+-- cast_vote's ON CONFLICT (meme_id, username) relies on.
+ALTER TABLE votes DROP CONSTRAINT IF EXISTS votes_meme_id_username_is_active_key;
+
+DELETE FROM votes
+WHERE id IN (
+    SELECT id
+    FROM (
+        SELECT id, ROW_NUMBER() OVER (
+            PARTITION BY meme_id, username
+            ORDER BY is_active DESC NULLS LAST, updated_at DESC, id DESC
+        ) AS position
+        FROM votes
+    ) ranked
+    WHERE position > 1
+);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'votes_meme_id_username_key') THEN
+        ALTER TABLE votes ADD CONSTRAINT votes_meme_id_username_key UNIQUE (meme_id, username);
+    END IF;
+END;
+$$;
+
+-- Apply a vote transition atomically. p_voted is 1 (up), 0 (down) or NULL
+-- (retract). Counters are adjusted from the previous state of the voter's
+-- row while the meme row is locked, so concurrent votes cannot drift them.
+CREATE OR REPLACE FUNCTION cast_vote(
+    p_meme_id INTEGER,
+    p_username VARCHAR(50),
+    p_voted INTEGER
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_meme memes%ROWTYPE;
+    v_previous INTEGER;
+    v_up_delta INTEGER := 0;
+    v_down_delta INTEGER := 0;
+BEGIN
+    IF p_voted IS NOT NULL AND p_voted NOT IN (0, 1) THEN
+        RAISE EXCEPTION 'Invalid vote value %', p_voted;
+    END IF;
+
+    SELECT * INTO v_meme FROM memes WHERE id = p_meme_id AND is_active = true FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Meme with ID % not found', p_meme_id;
+    END IF;
+
+    SELECT voted INTO v_previous FROM votes
+    WHERE meme_id = p_meme_id AND username = p_username AND is_active = true;
+
+    IF v_previous IS NOT DISTINCT FROM p_voted THEN
+        RETURN jsonb_build_object(
+            'changed', false,
+            'previous_vote', v_previous,
+            'vote', p_voted,
+            'upvote_count', v_meme.upvote_count,
+            'downvote_count', v_meme.downvote_count,
+            'meme_text', v_meme.text,
+            'meme_username', v_meme.username
+        );
+    END IF;
+
+    IF v_previous = 1 THEN v_up_delta := v_up_delta - 1; END IF;
+    IF v_previous = 0 THEN v_down_delta := v_down_delta - 1; END IF;
+    IF p_voted = 1 THEN v_up_delta := v_up_delta + 1; END IF;
+    IF p_voted = 0 THEN v_down_delta := v_down_delta + 1; END IF;
+
+    IF p_voted IS NULL THEN
+        UPDATE votes SET is_active = false
+        WHERE meme_id = p_meme_id AND username = p_username;
+    ELSE
+        INSERT INTO votes (meme_id, username, voted, is_active)
+        VALUES (p_meme_id, p_username, p_voted, true)
+        ON CONFLICT (meme_id, username) DO UPDATE
+        SET voted = EXCLUDED.voted, is_active = true;
+    END IF;
+
+    UPDATE memes
+    SET upvote_count = GREATEST(0, upvote_count + v_up_delta),
+        downvote_count = GREATEST(0, downvote_count + v_down_delta)
+    WHERE id = p_meme_id
+    RETURNING * INTO v_meme;
+
+    RETURN jsonb_build_object(
+        'changed', true,
+        'previous_vote', v_previous,
+        'vote', p_voted,
+        'upvote_count', v_meme.upvote_count,
+        'downvote_count', v_meme.downvote_count,
+        'meme_text', v_meme.text,
+        'meme_username', v_meme.username
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- Ranking scores. engagement = net votes plus one point per 10 bid credits.
+-- hot and rising add the creation time (in seconds) divided by a decay
+-- constant to the log of engagement, so a meme needs 10x the engagement to
+-- outrank one posted 12.5h (hot) or 3.3h (rising) later. Because the time
+-- term only depends on created_at, scores never need a periodic refresh.
+-- controversy rewards many votes split evenly between up and down.
+CREATE OR REPLACE FUNCTION compute_meme_scores()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_up INTEGER := COALESCE(NEW.upvote_count, 0);
+    v_down INTEGER := COALESCE(NEW.downvote_count, 0);
+    v_engagement DOUBLE PRECISION;
+    v_order DOUBLE PRECISION;
+    v_epoch DOUBLE PRECISION;
+BEGIN
+    v_engagement := (v_up - v_down) + COALESCE(NEW.total_bid_amount, 0) / 10.0;
+    v_order := sign(v_engagement) * log(GREATEST(abs(v_engagement), 1));
+    v_epoch := extract(epoch FROM COALESCE(NEW.created_at, NOW()));
+
+    NEW.engagement_score := v_engagement;
+    NEW.hot_score := v_order + v_epoch / 45000;
+    NEW.rising_score := v_order + v_epoch / 12000;
+    NEW.controversy_score := CASE
+        WHEN v_up > 0 AND v_down > 0
+            THEN power(v_up + v_down, LEAST(v_up, v_down)::DOUBLE PRECISION / GREATEST(v_up, v_down))
+        ELSE 0
+    END;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER compute_memes_scores BEFORE INSERT OR UPDATE OF upvote_count, downvote_count, total_bid_amount ON memes FOR EACH ROW EXECUTE FUNCTION compute_meme_scores();
+
+-- Backfill scores for existing memes
+UPDATE memes SET upvote_count = upvote_count;
+
+
+-- Create Tags tables (normalized replacement for the tags stored in memes.meta)
+CREATE TABLE tags (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) UNIQUE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE meme_tags (
+    meme_id INTEGER NOT NULL,
+    tag_id INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (meme_id, tag_id),
+    FOREIGN KEY (meme_id) REFERENCES memes(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_meme_tags_tag_id ON meme_tags(tag_id);
+
+-- Replace a meme's tags. Tag names are expected to be normalized already.
+CREATE OR REPLACE FUNCTION set_meme_tags(p_meme_id INTEGER, p_tags TEXT[])
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO tags (name)
+    SELECT DISTINCT unnest(p_tags)
+    ON CONFLICT (name) DO NOTHING;
+
+    DELETE FROM meme_tags WHERE meme_id = p_meme_id;
+
+    INSERT INTO meme_tags (meme_id, tag_id)
+    SELECT p_meme_id, id FROM tags WHERE name = ANY(p_tags);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Insert a meme together with its tags and its enrich_meme job, so a meme
+-- never exists without its tag rows or stays uncaptioned because queueing
+-- failed. p_meme holds the memes columns to set; tag names are expected to be
+-- normalized already. A meme held by safety screening passes p_hold
+-- ({ details, screening }) and gets its ai_screening report and auto_hold
+-- audit row in the same transaction, so it never sits hidden outside the
+-- review queue.
+DROP FUNCTION IF EXISTS create_meme(JSONB, TEXT[]);
+DROP FUNCTION IF EXISTS create_meme(JSONB, TEXT[], INTEGER);
+
+CREATE OR REPLACE FUNCTION create_meme(
+    p_meme JSONB,
+    p_tags TEXT[],
+    p_enrich_max_attempts INTEGER DEFAULT 4,
+    p_hold JSONB DEFAULT NULL
+)
+RETURNS memes AS $$
+DECLARE
+    v_meme memes%ROWTYPE;
+BEGIN
+    INSERT INTO memes (
+        text, image_url, meta, caption, vibe_description, username, owner_username,
+        is_active, moderation_status, enrichment_status,
+        auction_status, auction_starts_at, auction_ends_at, reserve_price
+    )
+    SELECT
+        r.text, r.image_url, COALESCE(r.meta, '{}'), r.caption, r.vibe_description, r.username, COALESCE(r.owner_username, r.username),
+        COALESCE(r.is_active, true), COALESCE(r.moderation_status, 'visible'), COALESCE(r.enrichment_status, 'pending'),
+        r.auction_status, r.auction_starts_at, r.auction_ends_at, COALESCE(r.reserve_price, 0)
+    FROM jsonb_populate_record(NULL::memes, p_meme) AS r
+    RETURNING * INTO v_meme;
+
+    PERFORM set_meme_tags(v_meme.id, p_tags);
+
+    INSERT INTO jobs (type, payload, max_attempts)
+    VALUES ('enrich_meme', jsonb_build_object('memeId', v_meme.id), p_enrich_max_attempts);
+
+    IF p_hold IS NOT NULL THEN
+        INSERT INTO reports (meme_id, reporter_username, reason, details)
+        VALUES (v_meme.id, NULL, 'ai_screening', p_hold->>'details');
+
+        INSERT INTO moderation_actions (actor_username, action, target_type, target_id, details)
+        VALUES ('system', 'auto_hold', 'meme', v_meme.id::TEXT, COALESCE(p_hold->'screening', '{}'));
+    END IF;
+
+    RETURN v_meme;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Backfill tags from the legacy meta column, which may hold a JSON-encoded string
+INSERT INTO tags (name)
+SELECT DISTINCT lower(trim(tag))
+FROM memes,
+    jsonb_array_elements_text(
+        (CASE jsonb_typeof(meta) WHEN 'string' THEN (meta #>> '{}')::JSONB ELSE meta END) -> 'tags'
+    ) AS tag
+WHERE trim(tag) <> ''
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO meme_tags (meme_id, tag_id)
+SELECT DISTINCT memes.id, tags.id
+FROM memes,
+    jsonb_array_elements_text(
+        (CASE jsonb_typeof(meta) WHEN 'string' THEN (meta #>> '{}')::JSONB ELSE meta END) -> 'tags'
+    ) AS tag
+    JOIN tags ON tags.name = lower(trim(tag))
+ON CONFLICT DO NOTHING;
+
+-- Full-text and tag search over active memes. With p_match_all the meme must
+-- carry every tag in p_tags, otherwise any one of them. Results are ordered by
+-- text relevance, then newest first.
+CREATE OR REPLACE FUNCTION search_memes(
+    p_query TEXT DEFAULT NULL,
+    p_tags TEXT[] DEFAULT NULL,
+    p_match_all BOOLEAN DEFAULT false
+)
+RETURNS SETOF memes AS $$
+    SELECT m.*
+    FROM memes m
+    WHERE m.is_active = true
+        AND (p_query IS NULL OR m.search_vector @@ websearch_to_tsquery('english', p_query))
+        AND (
+            COALESCE(cardinality(p_tags), 0) = 0
+            OR (
+                SELECT COUNT(DISTINCT t.name)
+                FROM meme_tags mt
+                JOIN tags t ON t.id = mt.tag_id
+                WHERE mt.meme_id = m.id AND t.name = ANY(p_tags)
+            ) >= CASE WHEN p_match_all THEN cardinality(p_tags) ELSE 1 END
+        )
+    ORDER BY
+        CASE WHEN p_query IS NULL THEN 0 ELSE ts_rank(m.search_vector, websearch_to_tsquery('english', p_query)) END DESC,
+        m.created_at DESC,
+        m.id DESC;
+$$ LANGUAGE sql STABLE;
+
+-- Tags ranked by how many recent memes use them, weighted by engagement
+CREATE OR REPLACE FUNCTION trending_tags(p_hours INTEGER DEFAULT 24, p_limit INTEGER DEFAULT 10)
+RETURNS TABLE (tag VARCHAR(50), meme_count INTEGER, score DOUBLE PRECISION) AS $$
+    SELECT
+        t.name,
+        COUNT(*)::INTEGER,
+        COUNT(*) + SUM(GREATEST(m.engagement_score, 0))
+    FROM meme_tags mt
+    JOIN tags t ON t.id = mt.tag_id
+    JOIN memes m ON m.id = mt.meme_id
+    WHERE m.is_active = true
+        AND m.created_at >= NOW() - make_interval(hours => p_hours)
+    GROUP BY t.name
+    ORDER BY 3 DESC, 2 DESC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Create Follows table (follower_username follows followee_username)
+CREATE TABLE follows (
+    id BIGSERIAL PRIMARY KEY,
+    follower_username VARCHAR(50) NOT NULL,
+    followee_username VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    FOREIGN KEY (follower_username) REFERENCES users(username),
+    FOREIGN KEY (followee_username) REFERENCES users(username),
+    UNIQUE(follower_username, followee_username),
+    CHECK (follower_username <> followee_username)
+);
+
+CREATE INDEX idx_follows_followee ON follows(followee_username, created_at DESC);
+CREATE INDEX idx_follows_follower ON follows(follower_username, created_at DESC);
+
+-- Aggregate creator stats for a public profile
+CREATE OR REPLACE FUNCTION user_profile_stats(p_username VARCHAR(50))
+RETURNS JSONB AS $$
+    SELECT jsonb_build_object(
+        'meme_count', COUNT(*),
+        'total_upvotes', COALESCE(SUM(upvote_count), 0),
+        'total_bid_value', COALESCE(SUM(total_bid_amount), 0),
+        'top_meme', (
+            SELECT jsonb_build_object(
+                'id', top.id,
+                'text', top.text,
+                'image_url', top.image_url,
+                'upvote_count', top.upvote_count,
+                'total_bid_amount', top.total_bid_amount
+            )
+            FROM memes top
+            WHERE top.username = p_username AND top.is_active = true
+            ORDER BY top.engagement_score DESC, top.created_at DESC
+            LIMIT 1
+        )
+    )
+    FROM memes
+    WHERE username = p_username AND is_active = true;
+$$ LANGUAGE sql STABLE;
+
+-- Create Refresh Tokens table. Tokens are stored as SHA-256 hashes; every
+-- rotation adds a row to the same family, and family_id doubles as the
+-- session id carried in access tokens.
+CREATE TABLE refresh_tokens (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    family_id UUID NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(30),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_refresh_tokens_family ON refresh_tokens(family_id) WHERE revoked_at IS NULL;
+CREATE INDEX idx_refresh_tokens_user ON refresh_tokens(user_id) WHERE revoked_at IS NULL;
+
+-- Create User Tokens table for email verification and password reset links.
+-- Tokens are stored as SHA-256 hashes and are consumed by setting used_at.
+CREATE TABLE user_tokens (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_user_tokens_user_purpose ON user_tokens(user_id, purpose) WHERE used_at IS NULL;
+
+-- Accounts created before verification existed are treated as verified
+UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
+
+-- Delete an account in one transaction. The username is kept because bids,
+-- wallets and the append-only ledger reference it, but every personal field
+-- is scrubbed and the password replaced so the account can never sign in.
+-- Memes are soft-deleted; open auctions still settle so escrowed bids are
+-- paid out or refunded as usual.
+CREATE OR REPLACE FUNCTION delete_user_account(p_user_id INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    v_user users%ROWTYPE;
+    v_memes_deleted INTEGER;
+BEGIN
+    SELECT * INTO v_user FROM users WHERE id = p_user_id AND deleted_at IS NULL FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'User not found';
+    END IF;
+
+    UPDATE users
+    SET email = 'deleted+' || id || '@deleted.invalid',
+        name = 'Deleted user',
+        password = '!',
+        bio = NULL,
+        avatar_url = NULL,
+        deleted_at = NOW()
+    WHERE id = p_user_id;
+
+    UPDATE memes
+    SET is_active = false, updated_at = NOW()
+    WHERE COALESCE(owner_username, username) = v_user.username AND is_active = true;
+    GET DIAGNOSTICS v_memes_deleted = ROW_COUNT;
+
+    DELETE FROM follows WHERE follower_username = v_user.username OR followee_username = v_user.username;
+    DELETE FROM notifications WHERE username = v_user.username;
+    DELETE FROM user_tokens WHERE user_id = p_user_id;
+
+    UPDATE refresh_tokens
+    SET revoked_at = NOW(), revoked_reason = 'account_deleted'
+    WHERE user_id = p_user_id AND revoked_at IS NULL;
+
+    RETURN jsonb_build_object(
+        'username', v_user.username,
+        'memes_deleted', v_memes_deleted
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create Moderation Actions table, the append-only audit trail of every
+-- moderation decision. actor_username is 'system' for automatic actions.
+CREATE TABLE moderation_actions (
+    id BIGSERIAL PRIMARY KEY,
+    actor_username VARCHAR(50) NOT NULL,
+    action VARCHAR(30) NOT NULL,
+    target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('meme', 'user', 'report')),
+    target_id VARCHAR(50) NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_moderation_actions_created_at ON moderation_actions(created_at DESC);
+CREATE INDEX idx_moderation_actions_target ON moderation_actions(target_type, target_id);
+CREATE INDEX idx_moderation_actions_actor ON moderation_actions(actor_username);
+
+CREATE OR REPLACE FUNCTION prevent_audit_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'moderation_actions is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER moderation_actions_append_only BEFORE UPDATE OR DELETE ON moderation_actions FOR EACH ROW EXECUTE FUNCTION prevent_audit_mutation();
+
+-- Create Reports table. Each user can report a meme once; open and claimed
+-- reports form the moderator review queue, together with memes held back by
+-- safety screening.
+CREATE TABLE reports (
+    id BIGSERIAL PRIMARY KEY,
+    meme_id INTEGER NOT NULL,
+    -- NULL for reports filed by pre-publication safety screening
+    reporter_username VARCHAR(50),
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('spam', 'harassment', 'hate', 'nsfw', 'violence', 'copyright', 'other', 'ai_screening')),
+    details VARCHAR(1000),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'claimed', 'resolved', 'dismissed')),
+    claimed_by VARCHAR(50),
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    reviewed_by VARCHAR(50),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    review_note VARCHAR(1000),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    FOREIGN KEY (meme_id) REFERENCES memes(id) ON DELETE CASCADE,
+    FOREIGN KEY (reporter_username) REFERENCES users(username),
+    FOREIGN KEY (claimed_by) REFERENCES users(username),
+    FOREIGN KEY (reviewed_by) REFERENCES users(username),
+    UNIQUE(meme_id, reporter_username)
+);
+
+CREATE INDEX idx_reports_queue ON reports(status, created_at) WHERE status IN ('open', 'claimed');
+CREATE INDEX idx_reports_meme_id ON reports(meme_id);
+
+-- File a report and hide the meme once its pending reports reach the threshold
+CREATE OR REPLACE FUNCTION report_meme(
+    p_meme_id INTEGER,
+    p_reporter VARCHAR(50),
+    p_reason VARCHAR(20),
+    p_details VARCHAR(1000),
+    p_hide_threshold INTEGER
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_meme memes%ROWTYPE;
+    v_report_id BIGINT;
+    v_pending INTEGER;
+    v_auto_hidden BOOLEAN := false;
+BEGIN
+    SELECT * INTO v_meme FROM memes WHERE id = p_meme_id AND is_active = true FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Meme with ID % not found', p_meme_id;
+    END IF;
+
+    IF COALESCE(v_meme.owner_username, v_meme.username) = p_reporter THEN
+        RAISE EXCEPTION 'Cannot report your own meme';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM reports WHERE meme_id = p_meme_id AND reporter_username = p_reporter) THEN
+        RAISE EXCEPTION 'Meme already reported';
+    END IF;
+
+    INSERT INTO reports (meme_id, reporter_username, reason, details)
+    VALUES (p_meme_id, p_reporter, p_reason, p_details)
+    RETURNING id INTO v_report_id;
+
+    SELECT COUNT(*) INTO v_pending
+    FROM reports
+    WHERE meme_id = p_meme_id AND status IN ('open', 'claimed');
+
+    IF v_pending >= p_hide_threshold AND v_meme.moderation_status = 'visible' THEN
+        UPDATE memes
+        SET is_active = false, moderation_status = 'hidden', updated_at = NOW()
+        WHERE id = p_meme_id;
+
+        INSERT INTO moderation_actions (actor_username, action, target_type, target_id, details)
+        VALUES ('system', 'auto_hide', 'meme', p_meme_id::TEXT, jsonb_build_object('pending_reports', v_pending, 'threshold', p_hide_threshold));
+
+        v_auto_hidden := true;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'report_id', v_report_id,
+        'pending_reports', v_pending,
+        'auto_hidden', v_auto_hidden,
+        'meme_text', v_meme.text,
+        'owner', COALESCE(v_meme.owner_username, v_meme.username)
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Settle a report. The decision applies to the meme, so every pending report
+-- on it is closed together: resolved removes the meme, dismissed restores it
+-- if reports had hidden it.
+CREATE OR REPLACE FUNCTION review_report(
+    p_report_id BIGINT,
+    p_moderator VARCHAR(50),
+    p_decision VARCHAR(20),
+    p_note VARCHAR(1000),
+    p_override_claim BOOLEAN DEFAULT false
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_report reports%ROWTYPE;
+    v_meme memes%ROWTYPE;
+    v_settled INTEGER;
+    v_moderation_status VARCHAR(20);
+BEGIN
+    IF p_decision NOT IN ('resolved', 'dismissed') THEN
+        RAISE EXCEPTION 'Invalid decision %', p_decision;
+    END IF;
+
+    SELECT * INTO v_report FROM reports WHERE id = p_report_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Report % not found', p_report_id;
+    END IF;
+
+    IF v_report.status NOT IN ('open', 'claimed') THEN
+        RAISE EXCEPTION 'Report has already been reviewed';
+    END IF;
+
+    IF v_report.status = 'claimed' AND v_report.claimed_by <> p_moderator AND NOT p_override_claim THEN
+        RAISE EXCEPTION 'Not authorized: report is claimed by %', v_report.claimed_by;
+    END IF;
+
+    SELECT * INTO v_meme FROM memes WHERE id = v_report.meme_id FOR UPDATE;
+
+    UPDATE reports
+    SET status = p_decision, reviewed_by = p_moderator, reviewed_at = NOW(), review_note = p_note
+    WHERE meme_id = v_report.meme_id AND status IN ('open', 'claimed');
+    GET DIAGNOSTICS v_settled = ROW_COUNT;
+
+    v_moderation_status := v_meme.moderation_status;
+    IF p_decision = 'resolved' THEN
+        UPDATE memes
+        SET is_active = false, moderation_status = 'removed', updated_at = NOW()
+        WHERE id = v_meme.id;
+        v_moderation_status := 'removed';
+    ELSIF v_meme.moderation_status = 'hidden' THEN
+        UPDATE memes
+        SET is_active = true, moderation_status = 'visible', updated_at = NOW()
+        WHERE id = v_meme.id;
+        v_moderation_status := 'visible';
+    END IF;
+
+    INSERT INTO moderation_actions (actor_username, action, target_type, target_id, details)
+    VALUES (
+        p_moderator,
+        CASE WHEN p_decision = 'resolved' THEN 'resolve_report' ELSE 'dismiss_report' END,
+        'report',
+        p_report_id::TEXT,
+        jsonb_build_object('meme_id', v_meme.id, 'reports_settled', v_settled, 'note', p_note, 'previous_status', v_meme.moderation_status)
+    );
+
+    RETURN jsonb_build_object(
+        'report_id', p_report_id,
+        'meme_id', v_meme.id,
+        'meme_text', v_meme.text,
+        'owner', COALESCE(v_meme.owner_username, v_meme.username),
+        'decision', p_decision,
+        'reports_settled', v_settled,
+        'was_active', v_meme.is_active,
+        'moderation_status', v_moderation_status
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create Jobs table for the background job queue. Failed jobs are retried
+-- with backoff until max_attempts, then parked as dead for inspection.
+CREATE TABLE jobs (
+    id BIGSERIAL PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    locked_by VARCHAR(100),
+    locked_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_jobs_ready ON jobs(type, run_at) WHERE status = 'pending';
+CREATE INDEX idx_jobs_running ON jobs(locked_at) WHERE status = 'running';
+CREATE INDEX idx_jobs_dead ON jobs(updated_at DESC) WHERE status = 'dead';
+
+CREATE TRIGGER update_jobs_updated_at BEFORE UPDATE ON jobs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Memes created before background enrichment already have their captions;
+-- queue an enrich_meme job for any that never got one
+UPDATE memes SET enrichment_status = 'completed' WHERE caption IS NOT NULL;
+
+INSERT INTO jobs (type, payload, max_attempts)
+SELECT 'enrich_meme', jsonb_build_object('memeId', id), 4
+FROM memes
+WHERE enrichment_status = 'pending';
+
+-- Claim up to p_limit due jobs of one type for a worker. Running jobs whose
+-- lease expired (the worker died mid-job) are picked up again. SKIP LOCKED
+-- lets several server instances poll the same table.
+CREATE OR REPLACE FUNCTION claim_jobs(
+    p_type VARCHAR(50),
+    p_worker VARCHAR(100),
+    p_limit INTEGER,
+    p_lease_seconds INTEGER
+)
+RETURNS SETOF jobs AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE jobs
+    SET status = 'running', attempts = jobs.attempts + 1, locked_by = p_worker, locked_at = NOW()
+    WHERE jobs.id IN (
+        SELECT j.id
+        FROM jobs j
+        WHERE j.type = p_type
+            AND (
+                (j.status = 'pending' AND j.run_at <= NOW())
+                OR (j.status = 'running' AND j.locked_at < NOW() - make_interval(secs => p_lease_seconds))
+            )
+        ORDER BY j.run_at, j.id
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING jobs.*;
+END;
+$$ LANGUAGE plpgsql;
@@ -15,6 +15,14 @@ const authenticateToken = async (req, res, next) => {
         }
 
         const decoded = authService.verifyToken(token);
+
+        // Reject tokens whose session was logged out or revoked
+        if (!(await authService.isSessionActive(decoded.sid))) {
+            return res.status(401).json({
+                error: 'Access denied',
+                message: 'Session has been revoked'
+            });
+        }
         
         // Get user details
         const user = await authService.getUserProfile(decoded.id);
@@ -25,7 +33,15 @@ const authenticateToken = async (req, res, next) => {
             });
         }
 
+        if (user.banned_at) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Account is banned'
+            });
+        }
+
         req.user = user;
+        req.sessionId = decoded.sid;
         next();
     } catch (error) {
         logger.error('Authentication error:', error);
@@ -43,8 +59,10 @@ const optionalAuth = async (req, res, next) => {
 
         if (token) {
             const decoded = authService.verifyToken(token);
-            const user = await authService.getUserProfile(decoded.id);
-            req.user = user;
+            if (await authService.isSessionActive(decoded.sid)) {
+                req.user = await authService.getUserProfile(decoded.id);
+                req.sessionId = decoded.sid;
+            }
         }
         
         next();
@@ -54,7 +72,53 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
+// Bind the acting username to the authenticated user. Must run after
+// authenticateToken and validate, since it rewrites req.validatedData.
+const bindActingUser = (req, res, next) => {
+    const { username } = req.validatedData || {};
+
+    if (username && username !== req.user.username) {
+        logger.warn(`User ${req.user.username} attempted to act as ${username}`);
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Username does not match the authenticated user'
+        });
+    }
+
+    req.validatedData = {
+        ...req.validatedData,
+        username: req.user.username
+    };
+    next();
+};
+
+// Block actions that need a confirmed email address. Must run after authenticateToken.
+const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user.email_verified_at) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Verify your email address to continue'
+        });
+    }
+    next();
+};
+
+// Allow only users whose role is in the list. Must run after authenticateToken.
+const authorize = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+        logger.warn(`User ${req.user.username} (${req.user.role}) denied access to ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Insufficient permissions'
+        });
+    }
+    next();
+};
+
 module.exports = {
     authenticateToken,
-    optionalAuth
+    authorize,
+    optionalAuth,
+    bindActingUser,
+    requireVerifiedEmail
 };
\ No newline at end of file
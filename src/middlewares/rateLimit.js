@@ -0,0 +1,33 @@
+const rateLimiter = require('../services/rateLimiter');
+
+// Apply a rate limit policy to a route and report it with the standard
+// RateLimit-* headers. Place it after authenticateToken so limits are per user.
+const rateLimit = (policyName) => async (req, res, next) => {
+    const result = await rateLimiter.consume(policyName, {
+        username: req.user && req.user.username,
+        ip: req.ip
+    });
+
+    if (result.limit !== null) {
+        res.set({
+            'RateLimit-Limit': String(result.limit),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(result.resetSeconds)
+        });
+    }
+
+    if (!result.allowed) {
+        res.set('Retry-After', String(result.resetSeconds));
+        return res.status(429).json({
+            error: 'Too many requests',
+            message: 'Rate limit exceeded, please try again later',
+            retryAfter: result.resetSeconds
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    rateLimit
+};
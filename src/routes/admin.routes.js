@@ -0,0 +1,1077 @@
+const express = require('express');
+const adminService = require('../services/admin');
+const moderationService = require('../services/moderation');
+const jobQueue = require('../services/jobs');
+const { validate, validateParams, schemas } = require('../utils/validations');
+const { authenticateToken, authorize } = require('../middlewares/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Every admin route needs a signed-in staff member; admin-only routes narrow this further
+router.use(authenticateToken, authorize('moderator', 'admin'));
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List users
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, moderator, admin]
+ *       - in: query
+ *         name: banned
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *       - in: query
+ *         name: search
+ *         description: Matches part of the username or email
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         users:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/AdminUser'
+ *                         pagination:
+ *                           type: object
+ *                           properties:
+ *                             page:
+ *                               type: integer
+ *                             pageSize:
+ *                               type: integer
+ *                             total:
+ *                               type: integer
+ *                             totalPages:
+ *                               type: integer
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires the moderator or admin role
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/users', validate(schemas.adminListUsers), async (req, res) => {
+    try {
+        const result = await adminService.listUsers(req.validatedData);
+        res.json({
+            success: true,
+            message: 'Users retrieved successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error listing users:', error);
+        res.status(500).json({
+            error: 'Failed to list users',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{username}/role:
+ *   patch:
+ *     summary: Change a user's role
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires the admin role, or the target is your own account or another admin
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.patch('/users/:username/role', authorize('admin'), validateParams(schemas.usernameParam), validate(schemas.setRole), async (req, res) => {
+    try {
+        const user = await adminService.setRole(req.validatedParams.username, req.validatedData.role, req.user);
+        res.json({
+            success: true,
+            message: 'Role updated successfully',
+            data: user
+        });
+    } catch (error) {
+        logger.error('Error changing user role:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Not authorized')) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to change role',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{username}/ban:
+ *   post:
+ *     summary: Ban a user
+ *     description: Signs the user out of every session and disconnects their live socket.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: User banned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Target is your own account or has an equal or higher role
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/users/:username/ban', validateParams(schemas.usernameParam), validate(schemas.banUser), async (req, res) => {
+    try {
+        const user = await adminService.banUser(req.validatedParams.username, req.validatedData.reason, req.user);
+        res.json({
+            success: true,
+            message: 'User banned successfully',
+            data: user
+        });
+    } catch (error) {
+        logger.error('Error banning user:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Not authorized')) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to ban user',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{username}/unban:
+ *   post:
+ *     summary: Lift a user's ban
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unbanned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/AdminUser'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Target is your own account or has an equal or higher role
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/users/:username/unban', validateParams(schemas.usernameParam), async (req, res) => {
+    try {
+        const user = await adminService.unbanUser(req.validatedParams.username, req.user);
+        res.json({
+            success: true,
+            message: 'User unbanned successfully',
+            data: user
+        });
+    } catch (error) {
+        logger.error('Error unbanning user:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Not authorized')) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to unban user',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/memes/{id}/deactivate:
+ *   post:
+ *     summary: Force-deactivate a meme
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Meme deactivated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires the moderator or admin role
+ *       404:
+ *         description: Meme not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/memes/:id/deactivate', validateParams(schemas.idParam), validate(schemas.deactivateMeme), async (req, res) => {
+    try {
+        const result = await adminService.deactivateMeme(req.validatedParams.id, req.user, req.validatedData.reason);
+        res.json({
+            success: true,
+            message: 'Meme deactivated successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error deactivating meme:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Meme not found',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to deactivate meme',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/reports:
+ *   get:
+ *     summary: List reports in the moderation queue, oldest first
+ *     description: Without a status filter only open and claimed reports are returned.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, claimed, resolved, dismissed]
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [spam, harassment, hate, nsfw, violence, copyright, other, ai_screening]
+ *     responses:
+ *       200:
+ *         description: Reports retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         reports:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Report'
+ *                         pagination:
+ *                           type: object
+ *                           properties:
+ *                             page:
+ *                               type: integer
+ *                             pageSize:
+ *                               type: integer
+ *                             total:
+ *                               type: integer
+ *                             totalPages:
+ *                               type: integer
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires the moderator or admin role
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/reports', validate(schemas.listReports), async (req, res) => {
+    try {
+        const result = await moderationService.listReports(req.validatedData);
+        res.json({
+            success: true,
+            message: 'Reports retrieved successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error listing reports:', error);
+        res.status(500).json({
+            error: 'Failed to list reports',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/reports/{id}/claim:
+ *   post:
+ *     summary: Claim a report for review
+ *     description: Admins can take over a report claimed by another moderator.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Report claimed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Report'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Report is claimed by another moderator
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Report has already been reviewed or changed concurrently
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/reports/:id/claim', validateParams(schemas.idParam), async (req, res) => {
+    try {
+        const report = await moderationService.claimReport(req.validatedParams.id, req.user);
+        res.json({
+            success: true,
+            message: 'Report claimed successfully',
+            data: report
+        });
+    } catch (error) {
+        logger.error('Error claiming report:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Report not found',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Not authorized')) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('already been reviewed') || error.message.includes('another moderator')) {
+            return res.status(409).json({
+                error: 'Claim failed',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to claim report',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/reports/{id}/resolve:
+ *   post:
+ *     summary: Uphold a report and remove the meme
+ *     description: Closes every pending report on the meme and removes it.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Report resolved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Report is claimed by another moderator
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Report has already been reviewed
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/reports/:id/resolve', validateParams(schemas.idParam), validate(schemas.reviewReport), async (req, res) => {
+    try {
+        const result = await moderationService.reviewReport(req.validatedParams.id, req.user, 'resolved', req.validatedData.note);
+        res.json({
+            success: true,
+            message: 'Report resolved successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error reviewing report:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Report not found',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Not authorized')) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('already been reviewed')) {
+            return res.status(409).json({
+                error: 'Review failed',
+                message: 'Report has already been reviewed'
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to review report',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/reports/{id}/dismiss:
+ *   post:
+ *     summary: Dismiss a report and keep the meme
+ *     description: Closes every pending report on the meme and restores it if reports had hidden it.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Report dismissed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Report is claimed by another moderator
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Report has already been reviewed
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/reports/:id/dismiss', validateParams(schemas.idParam), validate(schemas.reviewReport), async (req, res) => {
+    try {
+        const result = await moderationService.reviewReport(req.validatedParams.id, req.user, 'dismissed', req.validatedData.note);
+        res.json({
+            success: true,
+            message: 'Report dismissed successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error reviewing report:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Report not found',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Not authorized')) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('already been reviewed')) {
+            return res.status(409).json({
+                error: 'Review failed',
+                message: 'Report has already been reviewed'
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to review report',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/audit-log:
+ *   get:
+ *     summary: List moderation actions, newest first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: ban_user
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [meme, user, report]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit log retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         actions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/ModerationAction'
+ *                         pagination:
+ *                           type: object
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires the admin role
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/audit-log', authorize('admin'), validate(schemas.auditLog), async (req, res) => {
+    try {
+        const result = await moderationService.getAuditLog(req.validatedData);
+        res.json({
+            success: true,
+            message: 'Audit log retrieved successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error fetching audit log:', error);
+        res.status(500).json({
+            error: 'Failed to fetch audit log',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/metrics/websocket:
+ *   get:
+ *     summary: Get WebSocket connection metrics
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Metrics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires the admin role
+ */
+router.get('/metrics/websocket', authorize('admin'), (req, res) => {
+    res.json({
+        success: true,
+        message: 'Metrics retrieved successfully',
+        data: adminService.getWebSocketMetrics()
+    });
+});
+
+/**
+ * @swagger
+ * /api/admin/jobs:
+ *   get:
+ *     summary: List background jobs, most recently updated first
+ *     description: Filter on status=dead to inspect the dead-letter queue.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, running, completed, dead]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: enrich_meme
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         jobs:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Job'
+ *                         pagination:
+ *                           type: object
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires the admin role
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/jobs', authorize('admin'), validate(schemas.listJobs), async (req, res) => {
+    try {
+        const result = await jobQueue.listJobs(req.validatedData);
+        res.json({
+            success: true,
+            message: 'Jobs retrieved successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error listing jobs:', error);
+        res.status(500).json({
+            error: 'Failed to list jobs',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/jobs/{id}/retry:
+ *   post:
+ *     summary: Requeue a dead-lettered job with a fresh set of attempts
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Job requeued successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Job'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires the admin role
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is not dead
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/jobs/:id/retry', authorize('admin'), validateParams(schemas.idParam), async (req, res) => {
+    try {
+        const job = await jobQueue.retryJob(req.validatedParams.id);
+        res.json({
+            success: true,
+            message: 'Job requeued successfully',
+            data: job
+        });
+    } catch (error) {
+        logger.error('Error retrying job:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Job not found',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Only dead jobs')) {
+            return res.status(409).json({
+                error: 'Retry failed',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to retry job',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/cache/gemini/clear:
+ *   post:
+ *     summary: Clear the Gemini response cache
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cache cleared successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires the admin role
+ */
+router.post('/cache/gemini/clear', authorize('admin'), (req, res) => {
+    res.json({
+        success: true,
+        message: 'Cache cleared successfully',
+        data: adminService.clearGeminiCache(req.user)
+    });
+});
+
+/**
+ * @swagger
+ * /api/admin/announcements:
+ *   post:
+ *     summary: Broadcast a system announcement to every connected client
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 1000
+ *               level:
+ *                 type: string
+ *                 enum: [info, warning, critical]
+ *                 default: info
+ *     responses:
+ *       200:
+ *         description: Announcement sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires the admin role
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/announcements', authorize('admin'), validate(schemas.announcement), async (req, res) => {
+    try {
+        const { message, level } = req.validatedData;
+        const result = await adminService.sendAnnouncement(message, level, req.user);
+        res.json({
+            success: true,
+            message: 'Announcement sent successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error sending announcement:', error);
+        res.status(500).json({
+            error: 'Failed to send announcement',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
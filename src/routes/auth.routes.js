@@ -1,5 +1,7 @@
 const express = require('express');
 const authService = require('../services/auth');
+const followService = require('../services/follows');
+const webSocketManager = require('../ws/config');
 const { validate, schemas } = require('../utils/validations');
 const { authenticateToken } = require('../middlewares/auth');
 const { logger } = require('../utils/logger');
@@ -86,12 +88,20 @@ router.post('/register', validate(schemas.registerUser), async (req, res) => {
  *                       $ref: '#/components/schemas/AuthResponse'
  *       400:
  *         description: Invalid credentials
+ *       403:
+ *         description: Account is banned
+ *       429:
+ *         description: Too many failed attempts; the Retry-After header gives the wait in seconds
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
  *       500:
  *         description: Internal server error
  */
 router.post('/login', validate(schemas.loginUser), async (req, res) => {
     try {
-        const result = await authService.loginUser(req.validatedData);
+        const result = await authService.loginUser(req.validatedData, { ip: req.ip });
         res.json({
             success: true,
             message: 'Login successful',
@@ -99,6 +109,15 @@ router.post('/login', validate(schemas.loginUser), async (req, res) => {
         });
     } catch (error) {
         logger.error('Error logging in user:', error);
+
+        if (error.message.includes('Too many login attempts')) {
+            res.set('Retry-After', String(error.retryAfter));
+            return res.status(429).json({
+                error: 'Login locked',
+                message: error.message,
+                retryAfter: error.retryAfter
+            });
+        }
         
         if (error.message.includes('Invalid email or password')) {
             return res.status(400).json({
@@ -106,6 +125,13 @@ router.post('/login', validate(schemas.loginUser), async (req, res) => {
                 message: 'Invalid email or password'
             });
         }
+
+        if (error.message.includes('Account is banned')) {
+            return res.status(403).json({
+                error: 'Login failed',
+                message: error.message
+            });
+        }
         
         res.status(500).json({
             error: 'Failed to login',
@@ -141,10 +167,14 @@ router.post('/login', validate(schemas.loginUser), async (req, res) => {
  */
 router.get('/profile', authenticateToken, async (req, res) => {
     try {
+        const followCounts = await followService.getFollowCounts(req.user.username);
         res.json({
             success: true,
             message: 'Profile retrieved successfully',
-            data: req.user
+            data: {
+                ...req.user,
+                ...followCounts
+            }
         });
     } catch (error) {
         logger.error('Error getting profile:', error);
@@ -184,4 +214,404 @@ router.post('/verify', authenticateToken, async (req, res) => {
     });
 });
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: Refresh tokens are single-use. Presenting one that was already used revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshRequest'
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/refresh', validate(schemas.refreshToken), async (req, res) => {
+    try {
+        const result = await authService.refreshSession(req.validatedData.refreshToken);
+        res.json({
+            success: true,
+            message: 'Tokens refreshed successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error refreshing tokens:', error);
+
+        if (error.message.includes('Invalid refresh token') || error.message.includes('reuse detected')) {
+            return res.status(401).json({
+                error: 'Refresh failed',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to refresh tokens',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+    try {
+        await authService.revokeSession(req.sessionId, 'logout');
+        webSocketManager.disconnectUser(req.user.username, 'logout', req.sessionId);
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        logger.error('Error logging out:', error);
+        res.status(500).json({
+            error: 'Failed to log out',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out every session of the authenticated user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out of all devices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+        await authService.revokeAllSessions(req.user.id, 'logout_all');
+        webSocketManager.disconnectUser(req.user.username, 'logout_all');
+        res.json({
+            success: true,
+            message: 'Logged out of all devices'
+        });
+    } catch (error) {
+        logger.error('Error logging out of all devices:', error);
+        res.status(500).json({
+            error: 'Failed to log out of all devices',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change the password of the authenticated user
+ *     description: Every other session is signed out; the current one stays active.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *                 maxLength: 128
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Validation error or incorrect current password
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/change-password', authenticateToken, validate(schemas.changePassword), async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.validatedData;
+        await authService.changePassword(req.user.id, currentPassword, newPassword, req.sessionId);
+        webSocketManager.disconnectOtherSessions(req.user.username, req.sessionId, 'password_changed');
+        res.json({
+            success: true,
+            message: 'Password changed successfully'
+        });
+    } catch (error) {
+        logger.error('Error changing password:', error);
+
+        if (error.message.includes('Current password is incorrect')) {
+            return res.status(400).json({
+                error: 'Password change failed',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to change password',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirm an email address with the token from the verification email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error or invalid, used or expired token
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/verify-email', validate(schemas.verifyEmail), async (req, res) => {
+    try {
+        const user = await authService.verifyEmail(req.validatedData.token);
+        res.json({
+            success: true,
+            message: 'Email verified successfully',
+            data: user
+        });
+    } catch (error) {
+        logger.error('Error verifying email:', error);
+
+        if (error.message.includes('Invalid or expired')) {
+            return res.status(400).json({
+                error: 'Verification failed',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to verify email',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new verification email
+ *     description: Invalidates any earlier verification links.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Email is already verified
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+    try {
+        await authService.resendVerificationEmail(req.user.id);
+        res.json({
+            success: true,
+            message: 'Verification email sent'
+        });
+    } catch (error) {
+        logger.error('Error resending verification email:', error);
+
+        if (error.message.includes('already verified')) {
+            return res.status(400).json({
+                error: 'Resend failed',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to resend verification email',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always returns the same response so it cannot be used to discover registered emails.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Validation error
+ */
+router.post('/forgot-password', validate(schemas.forgotPassword), (req, res) => {
+    // Runs in the background; every request gets the same answer
+    authService.requestPasswordReset(req.validatedData.email);
+    res.json({
+        success: true,
+        message: 'If an account exists for that email, a reset link has been sent'
+    });
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with the token from the reset email
+ *     description: Signs the user out of every session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *                 maxLength: 128
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Validation error or invalid, used or expired token
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/reset-password', validate(schemas.resetPassword), async (req, res) => {
+    try {
+        const user = await authService.resetPassword(req.validatedData.token, req.validatedData.password);
+        webSocketManager.disconnectUser(user.username, 'password_reset');
+        res.json({
+            success: true,
+            message: 'Password reset successfully'
+        });
+    } catch (error) {
+        logger.error('Error resetting password:', error);
+
+        if (error.message.includes('Invalid or expired')) {
+            return res.status(400).json({
+                error: 'Reset failed',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to reset password',
+            message: error.message
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,82 @@
+const express = require('express');
+const memeService = require('../services/memes');
+const { validate, schemas } = require('../utils/validations');
+const { authenticateToken } = require('../middlewares/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/feed:
+ *   get:
+ *     summary: Get the personalized home feed
+ *     description: Newest memes from followed creators mixed with hot memes from everyone else. Pages forward only.
+ *     tags: [Feed]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from a previous response
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Feed retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         memes:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Meme'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/CursorPagination'
+ *       400:
+ *         description: Validation error or invalid cursor
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authenticateToken, validate(schemas.cursorPage), async (req, res) => {
+    try {
+        const result = await memeService.getFeed(req.user.username, req.validatedData);
+        res.json({
+            success: true,
+            message: 'Feed retrieved successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error fetching feed:', error);
+
+        if (error.message.includes('Invalid cursor')) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to fetch feed',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,12 +1,24 @@
 const express = require('express');
 const memeRoutes = require('./memes.routes');
 const authRoutes = require('./auth.routes');
+const walletRoutes = require('./wallet.routes');
+const notificationRoutes = require('./notifications.routes');
+const tagRoutes = require('./tags.routes');
+const userRoutes = require('./users.routes');
+const feedRoutes = require('./feed.routes');
+const adminRoutes = require('./admin.routes');
 
 const router = express.Router();
 
 // Mount routes
 router.use('/auth', authRoutes);
 router.use('/memes', memeRoutes);
+router.use('/wallet', walletRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/tags', tagRoutes);
+router.use('/users', userRoutes);
+router.use('/feed', feedRoutes);
+router.use('/admin', adminRoutes);
 
 // API info endpoint
 router.get('/', (req, res) => {
@@ -16,6 +28,12 @@ router.get('/', (req, res) => {
         documentation: '/api-docs',
         endpoints: {
             memes: '/api/memes',
+            wallet: '/api/wallet',
+            notifications: '/api/notifications',
+            tags: '/api/tags',
+            users: '/api/users',
+            feed: '/api/feed',
+            admin: '/api/admin',
             websocket: 'ws://localhost:4001'
         }
     });
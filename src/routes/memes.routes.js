@@ -1,6 +1,9 @@
 const express = require('express');
 const memeService = require('../services/memes');
-const { validate, schemas } = require('../utils/validations');
+const moderationService = require('../services/moderation');
+const { validate, validateParams, schemas } = require('../utils/validations');
+const { authenticateToken, optionalAuth, bindActingUser, requireVerifiedEmail } = require('../middlewares/auth');
+const { rateLimit } = require('../middlewares/rateLimit');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
@@ -10,7 +13,10 @@ const router = express.Router();
  * /api/memes:
  *   post:
  *     summary: Create a new meme
+ *     description: The meme is returned with enrichment_status pending; its caption and vibe description are generated in the background and pushed with the meme_enriched WebSocket event.
  *     tags: [Memes]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -29,18 +35,45 @@ const router = express.Router();
  *                   properties:
  *                     data:
  *                       $ref: '#/components/schemas/Meme'
+ *       202:
+ *         description: Meme flagged by safety screening and held for moderator review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Meme'
  *       400:
  *         description: Validation error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Username does not match the authenticated user
+ *       422:
+ *         description: Meme rejected by safety screening
+ *       429:
+ *         description: Rate limit exceeded; see the RateLimit-* and Retry-After headers
  *       500:
  *         description: Internal server error
  */
-router.post('/', validate(schemas.createMeme), async (req, res) => {
+router.post('/', authenticateToken, rateLimit('createMeme'), validate(schemas.createMeme), bindActingUser, async (req, res) => {
     try {
         const meme = await memeService.createMeme(req.validatedData);
+        if (meme.moderation_status === 'hidden') {
+            return res.status(202).json({
+                success: true,
+                message: 'Meme submitted for review',
+                data: meme
+            });
+        }
+
         res.status(201).json({
             success: true,
             message: 'Meme created successfully',
@@ -48,6 +81,15 @@ router.post('/', validate(schemas.createMeme), async (req, res) => {
         });
     } catch (error) {
         logger.error('Error creating meme:', error);
+
+        if (error.message.includes('rejected by safety screening')) {
+            return res.status(422).json({
+                error: 'Meme rejected',
+                message: 'This meme violates the content policy',
+                categories: error.flagged
+            });
+        }
+
         res.status(500).json({
             error: 'Failed to create meme',
             message: error.message
@@ -68,6 +110,18 @@ router.post('/', validate(schemas.createMeme), async (req, res) => {
  *         schema:
  *           type: string
  *         description: Username to fetch memes for
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor or prevCursor from a previous response
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
  *     responses:
  *       200:
  *         description: User memes retrieved successfully
@@ -79,23 +133,38 @@ router.post('/', validate(schemas.createMeme), async (req, res) => {
  *                 - type: object
  *                   properties:
  *                     data:
- *                       type: array
- *                       items:
- *                         $ref: '#/components/schemas/Meme'
+ *                       type: object
+ *                       properties:
+ *                         memes:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Meme'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/CursorPagination'
+ *       400:
+ *         description: Validation error or invalid cursor
  *       500:
  *         description: Internal server error
  */
-router.get('/user/:username', async (req, res) => {
+router.get('/user/:username', validate(schemas.getUserMemes), async (req, res) => {
     try {
         const { username } = req.params;
-        const memes = await memeService.getMemesForUser(username);
+        const result = await memeService.getMemesForUser(username, req.validatedData);
         res.json({
             success: true,
             message: 'User memes retrieved successfully',
-            data: memes
+            data: result
         });
     } catch (error) {
         logger.error('Error fetching user memes:', error);
+
+        if (error.message.includes('Invalid cursor')) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: error.message
+            });
+        }
+
         res.status(500).json({
             error: 'Failed to fetch user memes',
             message: error.message
@@ -109,6 +178,8 @@ router.get('/user/:username', async (req, res) => {
  *   post:
  *     summary: Place a bid on a meme
  *     tags: [Memes]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -132,12 +203,43 @@ router.get('/user/:username', async (req, res) => {
  *                           type: string
  *                         success:
  *                           type: boolean
+ *                         meme_id:
+ *                           type: integer
+ *                         bid_amount:
+ *                           type: number
+ *                         total_bid_amount:
+ *                           type: number
+ *                         is_top_bid:
+ *                           type: boolean
+ *                         balance:
+ *                           type: number
+ *                         auction_ends_at:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                         auction_extended:
+ *                           type: boolean
+ *                         top_bidder:
+ *                           type: object
+ *                           properties:
+ *                             username:
+ *                               type: string
+ *                             bid_amount:
+ *                               type: number
  *       400:
- *         description: Validation error
+ *         description: Validation error, insufficient balance or auction not open
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Email not verified or username does not match the authenticated user
+ *       404:
+ *         description: Meme not found
+ *       429:
+ *         description: Rate limit exceeded; see the RateLimit-* and Retry-After headers
  *       500:
  *         description: Internal server error
  */
-router.post('/bid', validate(schemas.bidOnMeme), async (req, res) => {
+router.post('/bid', authenticateToken, rateLimit('bid'), requireVerifiedEmail, validate(schemas.bidOnMeme), bindActingUser, async (req, res) => {
     try {
         const result = await memeService.bidOnMeme(req.validatedData);
         res.json({
@@ -147,6 +249,28 @@ router.post('/bid', validate(schemas.bidOnMeme), async (req, res) => {
         });
     } catch (error) {
         logger.error('Error placing bid:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Bid failed',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Auction is not open')) {
+            return res.status(400).json({
+                error: 'Bid failed',
+                message: 'Auction is not open for bidding'
+            });
+        }
+
+        if (error.message.includes('Insufficient balance')) {
+            return res.status(400).json({
+                error: 'Bid failed',
+                message: 'Insufficient balance'
+            });
+        }
+
         res.status(500).json({
             error: 'Failed to place bid',
             message: error.message
@@ -158,8 +282,10 @@ router.post('/bid', validate(schemas.bidOnMeme), async (req, res) => {
  * @swagger
  * /api/memes/vote:
  *   post:
- *     summary: Vote on a meme (upvote or downvote)
+ *     summary: Vote on a meme (upvote, downvote or retract with voted null)
  *     tags: [Memes]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -172,13 +298,26 @@ router.post('/bid', validate(schemas.bidOnMeme), async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ApiResponse'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/VoteResult'
  *       400:
  *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Username does not match the authenticated user
+ *       404:
+ *         description: Meme not found
+ *       429:
+ *         description: Rate limit exceeded; see the RateLimit-* and Retry-After headers
  *       500:
  *         description: Internal server error
  */
-router.post('/vote', validate(schemas.voteOnMeme), async (req, res) => {
+router.post('/vote', authenticateToken, rateLimit('vote'), validate(schemas.voteOnMeme), bindActingUser, async (req, res) => {
     try {
         const result = await memeService.voteOnMeme(req.validatedData);
         res.json({
@@ -188,6 +327,14 @@ router.post('/vote', validate(schemas.voteOnMeme), async (req, res) => {
         });
     } catch (error) {
         logger.error('Error voting on meme:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Vote failed',
+                message: error.message
+            });
+        }
+
         res.status(500).json({
             error: 'Failed to vote on meme',
             message: error.message
@@ -225,6 +372,92 @@ router.post('/vote', validate(schemas.voteOnMeme), async (req, res) => {
  *                           items:
  *                             $ref: '#/components/schemas/Meme'
  *                         pagination:
+ *                           $ref: '#/components/schemas/CursorPagination'
+ *       400:
+ *         description: Validation error or invalid cursor
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/leaderboard', validate(schemas.getLeaderboard), async (req, res) => {
+    try {
+        const result = await memeService.getLeaderboard(req.validatedData);
+        res.json({
+            success: true,
+            message: 'Leaderboard retrieved successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error fetching leaderboard:', error);
+
+        if (error.message.includes('Invalid cursor')) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to fetch leaderboard',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/memes/search:
+ *   get:
+ *     summary: Search memes by text and tags
+ *     tags: [Memes]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Full-text query over text, caption and vibe description
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tag names
+ *       - in: query
+ *         name: match
+ *         schema:
+ *           type: string
+ *           enum: [all, any]
+ *           default: any
+ *         description: Require all tags or any of them
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Search results retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         memes:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Meme'
+ *                         pagination:
  *                           type: object
  *                           properties:
  *                             page:
@@ -235,21 +468,413 @@ router.post('/vote', validate(schemas.voteOnMeme), async (req, res) => {
  *                               type: integer
  *                             totalPages:
  *                               type: integer
+ *       400:
+ *         description: Validation error
  *       500:
  *         description: Internal server error
  */
-router.post('/leaderboard', validate(schemas.getLeaderboard), async (req, res) => {
+router.get('/search', validate(schemas.searchMemes), async (req, res) => {
     try {
-        const result = await memeService.getLeaderboard(req.validatedData);
+        const result = await memeService.searchMemes(req.validatedData);
         res.json({
             success: true,
-            message: 'Leaderboard retrieved successfully',
+            message: 'Search results retrieved successfully',
             data: result
         });
     } catch (error) {
-        logger.error('Error fetching leaderboard:', error);
+        logger.error('Error searching memes:', error);
         res.status(500).json({
-            error: 'Failed to fetch leaderboard',
+            error: 'Failed to search memes',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/memes/{id}:
+ *   get:
+ *     summary: Get a single meme with its top bid and the caller's vote
+ *     tags: [Memes]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Meme retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Meme'
+ *                         - type: object
+ *                           properties:
+ *                             my_vote:
+ *                               type: integer
+ *                               enum: [0, 1]
+ *                               nullable: true
+ *       400:
+ *         description: Invalid meme ID
+ *       404:
+ *         description: Meme not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', optionalAuth, validateParams(schemas.idParam), async (req, res) => {
+    try {
+        const meme = await memeService.getMemeById(req.validatedParams.id, req.user?.username);
+        res.json({
+            success: true,
+            message: 'Meme retrieved successfully',
+            data: meme
+        });
+    } catch (error) {
+        logger.error('Error fetching meme:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Meme not found',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to fetch meme',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/memes/{id}:
+ *   patch:
+ *     summary: Edit a meme's text or tags (owner only)
+ *     tags: [Memes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateMemeRequest'
+ *     responses:
+ *       200:
+ *         description: Meme updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Meme'
+ *       202:
+ *         description: Edit flagged by safety screening; the meme is hidden until a moderator reviews it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Meme'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the meme owner
+ *       404:
+ *         description: Meme not found
+ *       422:
+ *         description: Edit rejected by safety screening
+ *       500:
+ *         description: Internal server error
+ */
+router.patch('/:id', authenticateToken, validateParams(schemas.idParam), validate(schemas.updateMeme), async (req, res) => {
+    try {
+        const meme = await memeService.updateMeme(req.validatedParams.id, req.user.username, req.validatedData);
+        if (meme.moderation_status === 'hidden') {
+            return res.status(202).json({
+                success: true,
+                message: 'Meme edit submitted for review',
+                data: meme
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Meme updated successfully',
+            data: meme
+        });
+    } catch (error) {
+        logger.error('Error updating meme:', error);
+
+        if (error.message.includes('rejected by safety screening')) {
+            return res.status(422).json({
+                error: 'Meme rejected',
+                message: 'This edit violates the content policy',
+                categories: error.flagged
+            });
+        }
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Meme not found',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Not authorized')) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to update meme',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/memes/{id}:
+ *   delete:
+ *     summary: Take down a meme (owner or admin only)
+ *     tags: [Memes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Meme deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Invalid meme ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the meme owner or an admin
+ *       404:
+ *         description: Meme not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', authenticateToken, validateParams(schemas.idParam), async (req, res) => {
+    try {
+        const result = await memeService.deleteMeme(req.validatedParams.id, req.user);
+        res.json({
+            success: true,
+            message: 'Meme deleted successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error deleting meme:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Meme not found',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Not authorized')) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to delete meme',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/memes/{id}/vote:
+ *   delete:
+ *     summary: Retract the caller's vote on a meme
+ *     tags: [Memes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Vote retracted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/VoteResult'
+ *       400:
+ *         description: Invalid meme ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Meme not found
+ *       429:
+ *         description: Rate limit exceeded; see the RateLimit-* and Retry-After headers
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id/vote', authenticateToken, rateLimit('vote'), validateParams(schemas.idParam), async (req, res) => {
+    try {
+        const result = await memeService.voteOnMeme({
+            meme_id: req.validatedParams.id,
+            username: req.user.username,
+            voted: null
+        });
+        res.json({
+            success: true,
+            message: 'Vote retracted successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error retracting vote:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Vote failed',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to retract vote',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/memes/{id}/report:
+ *   post:
+ *     summary: Report a meme for moderator review
+ *     description: Memes are hidden automatically once enough reports are pending review.
+ *     tags: [Memes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, harassment, hate, nsfw, violence, copyright, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Report filed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Validation error or reporting your own meme
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Meme not found
+ *       409:
+ *         description: You already reported this meme
+ *       429:
+ *         description: Rate limit exceeded; see the RateLimit-* and Retry-After headers
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/report', authenticateToken, rateLimit('report'), validateParams(schemas.idParam), validate(schemas.reportMeme), async (req, res) => {
+    try {
+        const { reason, details } = req.validatedData;
+        const report = await moderationService.reportMeme(req.validatedParams.id, req.user.username, reason, details);
+        res.status(201).json({
+            success: true,
+            message: 'Report filed successfully',
+            data: report
+        });
+    } catch (error) {
+        logger.error('Error reporting meme:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Report failed',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('already reported')) {
+            return res.status(409).json({
+                error: 'Report failed',
+                message: 'You have already reported this meme'
+            });
+        }
+
+        if (error.message.includes('Cannot report your own meme')) {
+            return res.status(400).json({
+                error: 'Report failed',
+                message: 'Cannot report your own meme'
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to report meme',
             message: error.message
         });
     }
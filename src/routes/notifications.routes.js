@@ -0,0 +1,196 @@
+const express = require('express');
+const notificationService = require('../services/notifications');
+const { validate, validateParams, schemas } = require('../utils/validations');
+const { authenticateToken } = require('../middlewares/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get the authenticated user's notifications, newest first
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: unreadOnly
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *           default: 'false'
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         notifications:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Notification'
+ *                         unreadCount:
+ *                           type: integer
+ *                         pagination:
+ *                           type: object
+ *                           properties:
+ *                             page:
+ *                               type: integer
+ *                             pageSize:
+ *                               type: integer
+ *                             total:
+ *                               type: integer
+ *                             totalPages:
+ *                               type: integer
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authenticateToken, validate(schemas.getNotifications), async (req, res) => {
+    try {
+        const result = await notificationService.getNotifications(req.user.username, req.validatedData);
+        res.json({
+            success: true,
+            message: 'Notifications retrieved successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error fetching notifications:', error);
+        res.status(500).json({
+            error: 'Failed to fetch notifications',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: Mark all of the authenticated user's notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         updated:
+ *                           type: integer
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/read-all', authenticateToken, async (req, res) => {
+    try {
+        const result = await notificationService.markAllAsRead(req.user.username);
+        res.json({
+            success: true,
+            message: 'Notifications marked as read',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error marking notifications as read:', error);
+        res.status(500).json({
+            error: 'Failed to mark notifications as read',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Notification'
+ *       400:
+ *         description: Invalid notification ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/read', authenticateToken, validateParams(schemas.idParam), async (req, res) => {
+    try {
+        const notification = await notificationService.markAsRead(req.user.username, req.validatedParams.id);
+        res.json({
+            success: true,
+            message: 'Notification marked as read',
+            data: notification
+        });
+    } catch (error) {
+        logger.error('Error marking notification as read:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Notification not found',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to mark notification as read',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
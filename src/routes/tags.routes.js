@@ -0,0 +1,66 @@
+const express = require('express');
+const tagService = require('../services/tags');
+const { validate, schemas } = require('../utils/validations');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/tags/trending:
+ *   get:
+ *     summary: Get the hottest tags on recent memes
+ *     tags: [Tags]
+ *     parameters:
+ *       - in: query
+ *         name: hours
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 168
+ *           default: 24
+ *         description: Only memes created within this many hours count
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Trending tags retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TrendingTag'
+ *       400:
+ *         description: Validation error
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/trending', validate(schemas.getTrendingTags), async (req, res) => {
+    try {
+        const tags = await tagService.getTrendingTags(req.validatedData);
+        res.json({
+            success: true,
+            message: 'Trending tags retrieved successfully',
+            data: tags
+        });
+    } catch (error) {
+        logger.error('Error fetching trending tags:', error);
+        res.status(500).json({
+            error: 'Failed to fetch trending tags',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
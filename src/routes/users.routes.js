@@ -0,0 +1,442 @@
+const express = require('express');
+const followService = require('../services/follows');
+const userService = require('../services/users');
+const { validate, validateParams, schemas } = require('../utils/validations');
+const { authenticateToken } = require('../middlewares/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   patch:
+ *     summary: Update the authenticated user's profile
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateProfileRequest'
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.patch('/me', authenticateToken, validate(schemas.updateProfile), async (req, res) => {
+    try {
+        const user = await userService.updateProfile(req.user.username, req.validatedData);
+        res.json({
+            success: true,
+            message: 'Profile updated successfully',
+            data: user
+        });
+    } catch (error) {
+        logger.error('Error updating profile:', error);
+        res.status(500).json({
+            error: 'Failed to update profile',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   delete:
+ *     summary: Delete the authenticated user's account
+ *     description: Anonymizes the account, soft-deletes the user's memes, signs out every session and disconnects the live socket. Bid history is kept for auditing.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Validation error or incorrect password
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/me', authenticateToken, validate(schemas.deleteAccount), async (req, res) => {
+    try {
+        const result = await userService.deleteAccount(req.user, req.validatedData.password);
+        res.json({
+            success: true,
+            message: 'Account deleted successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error deleting account:', error);
+
+        if (error.message.includes('Password is incorrect')) {
+            return res.status(400).json({
+                error: 'Account deletion failed',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to delete account',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{username}:
+ *   get:
+ *     summary: Get a user's public profile and creator stats
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Profile retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/PublicProfile'
+ *       400:
+ *         description: Invalid username
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:username', validateParams(schemas.usernameParam), async (req, res) => {
+    try {
+        const profile = await userService.getPublicProfile(req.validatedParams.username);
+        res.json({
+            success: true,
+            message: 'Profile retrieved successfully',
+            data: profile
+        });
+    } catch (error) {
+        logger.error('Error fetching public profile:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to fetch profile',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{username}/follow:
+ *   post:
+ *     summary: Follow a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User followed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Validation error or attempt to follow yourself
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:username/follow', authenticateToken, validateParams(schemas.usernameParam), async (req, res) => {
+    try {
+        const result = await followService.follow(req.user.username, req.validatedParams.username);
+        res.json({
+            success: true,
+            message: 'User followed successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error following user:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('cannot follow yourself')) {
+            return res.status(400).json({
+                error: 'Follow failed',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to follow user',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{username}/follow:
+ *   delete:
+ *     summary: Unfollow a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unfollowed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:username/follow', authenticateToken, validateParams(schemas.usernameParam), async (req, res) => {
+    try {
+        const result = await followService.unfollow(req.user.username, req.validatedParams.username);
+        res.json({
+            success: true,
+            message: 'User unfollowed successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error unfollowing user:', error);
+        res.status(500).json({
+            error: 'Failed to unfollow user',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{username}/followers:
+ *   get:
+ *     summary: List who follows a user
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Followers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         users:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/FollowEntry'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/CursorPagination'
+ *       400:
+ *         description: Validation error or invalid cursor
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:username/followers', validateParams(schemas.usernameParam), validate(schemas.cursorPage), async (req, res) => {
+    try {
+        const result = await followService.getFollowers(req.validatedParams.username, req.validatedData);
+        res.json({
+            success: true,
+            message: 'Followers retrieved successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error fetching followers:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Invalid cursor')) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to fetch followers',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/users/{username}/following:
+ *   get:
+ *     summary: List who a user follows
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Following retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         users:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/FollowEntry'
+ *                         pagination:
+ *                           $ref: '#/components/schemas/CursorPagination'
+ *       400:
+ *         description: Validation error or invalid cursor
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:username/following', validateParams(schemas.usernameParam), validate(schemas.cursorPage), async (req, res) => {
+    try {
+        const result = await followService.getFollowing(req.validatedParams.username, req.validatedData);
+        res.json({
+            success: true,
+            message: 'Following retrieved successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error fetching following:', error);
+
+        if (error.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'User not found',
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Invalid cursor')) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to fetch following',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
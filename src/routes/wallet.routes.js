@@ -0,0 +1,125 @@
+const express = require('express');
+const walletService = require('../services/wallet');
+const { validate, schemas } = require('../utils/validations');
+const { authenticateToken } = require('../middlewares/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/wallet:
+ *   get:
+ *     summary: Get the authenticated user's credit wallet
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wallet retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Wallet'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const wallet = await walletService.getWallet(req.user.username);
+        res.json({
+            success: true,
+            message: 'Wallet retrieved successfully',
+            data: wallet
+        });
+    } catch (error) {
+        logger.error('Error fetching wallet:', error);
+        res.status(500).json({
+            error: 'Failed to fetch wallet',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/wallet/transactions:
+ *   get:
+ *     summary: Get the authenticated user's ledger entries, newest first
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Transactions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         transactions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/LedgerEntry'
+ *                         pagination:
+ *                           type: object
+ *                           properties:
+ *                             page:
+ *                               type: integer
+ *                             pageSize:
+ *                               type: integer
+ *                             total:
+ *                               type: integer
+ *                             totalPages:
+ *                               type: integer
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/transactions', authenticateToken, validate(schemas.getWalletTransactions), async (req, res) => {
+    try {
+        const result = await walletService.getTransactions(req.user.username, req.validatedData);
+        res.json({
+            success: true,
+            message: 'Transactions retrieved successfully',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error fetching wallet transactions:', error);
+        res.status(500).json({
+            error: 'Failed to fetch wallet transactions',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const authService = require('./auth');
+const geminiService = require('./gemini/service');
+const moderationService = require('./moderation');
+const messageService = require('../ws/ws');
+const webSocketManager = require('../ws/config');
+const { DatabaseService } = require('../database/db');
+const { logger } = require('../utils/logger');
+
+const ROLE_RANK = { user: 0, moderator: 1, admin: 2 };
+
+const ADMIN_USER_COLUMNS = 'id, email, username, name, role, email_verified_at, banned_at, banned_reason, deleted_at, created_at, updated_at';
+
+class AdminService extends DatabaseService {
+    constructor() {
+        super();
+    }
+
+    async listUsers(options = {}) {
+        try {
+            const { page = 1, pageSize = 20, role, banned, search } = options;
+            const offset = (page - 1) * pageSize;
+
+            let query = this.client()
+                .from('users')
+                .select(ADMIN_USER_COLUMNS, { count: 'exact' })
+                .is('deleted_at', null);
+
+            if (role) {
+                query = query.eq('role', role);
+            }
+            if (banned !== undefined) {
+                query = banned ? query.not('banned_at', 'is', null) : query.is('banned_at', null);
+            }
+            if (search) {
+                query = query.or(`username.ilike.%${search}%,email.ilike.%${search}%`);
+            }
+
+            const { data: users, count, error } = await query
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false })
+                .range(offset, offset + pageSize - 1);
+
+            if (error) throw error;
+
+            return {
+                users: users.map(user => ({
+                    ...user,
+                    online: webSocketManager.isUserOnline(user.username)
+                })),
+                pagination: {
+                    page,
+                    pageSize,
+                    total: count,
+                    totalPages: Math.ceil(count / pageSize)
+                }
+            };
+        } catch (error) {
+            logger.error('Error listing users:', error);
+            throw error;
+        }
+    }
+
+    async findTarget(username) {
+        const users = await this.findMany('users', { username }, { select: ADMIN_USER_COLUMNS });
+        const user = users[0];
+        if (!user || user.deleted_at) {
+            throw new Error(`User ${username} not found`);
+        }
+        return user;
+    }
+
+    // Staff can only act on accounts ranked below their own role
+    assertOutranks(actor, target) {
+        if (actor.username === target.username) {
+            throw new Error('Not authorized to change your own account');
+        }
+        if (ROLE_RANK[target.role] >= ROLE_RANK[actor.role]) {
+            throw new Error(`Not authorized to manage a ${target.role}`);
+        }
+    }
+
+    async setRole(username, role, actor) {
+        try {
+            const target = await this.findTarget(username);
+            this.assertOutranks(actor, target);
+
+            const { password: _, ...user } = await this.update('users', target.id, {
+                role,
+                updated_at: new Date().toISOString()
+            });
+
+            await moderationService.recordAction(actor.username, 'set_role', 'user', username, {
+                previous_role: target.role,
+                role
+            });
+
+            logger.info(`${actor.username} changed role of ${username} from ${target.role} to ${role}`);
+            return user;
+        } catch (error) {
+            logger.error('Error changing user role:', error);
+            throw error;
+        }
+    }
+
+    // Ban a user, end all their sessions and drop their live socket
+    async banUser(username, reason, actor) {
+        try {
+            const target = await this.findTarget(username);
+            this.assertOutranks(actor, target);
+
+            const { password: _, ...user } = await this.update('users', target.id, {
+                banned_at: target.banned_at || new Date().toISOString(),
+                banned_reason: reason,
+                updated_at: new Date().toISOString()
+            });
+
+            await authService.revokeAllSessions(target.id, 'banned');
+            webSocketManager.disconnectUser(username, 'banned');
+
+            await moderationService.recordAction(actor.username, 'ban_user', 'user', username, { reason });
+
+            logger.info(`${actor.username} banned ${username}: ${reason}`);
+            return user;
+        } catch (error) {
+            logger.error('Error banning user:', error);
+            throw error;
+        }
+    }
+
+    async unbanUser(username, actor) {
+        try {
+            const target = await this.findTarget(username);
+            this.assertOutranks(actor, target);
+
+            const { password: _, ...user } = await this.update('users', target.id, {
+                banned_at: null,
+                banned_reason: null,
+                updated_at: new Date().toISOString()
+            });
+
+            await moderationService.recordAction(actor.username, 'unban_user', 'user', username, {
+                previous_reason: target.banned_reason
+            });
+
+            logger.info(`${actor.username} unbanned ${username}`);
+            return user;
+        } catch (error) {
+            logger.error('Error unbanning user:', error);
+            throw error;
+        }
+    }
+
+    async deactivateMeme(memeId, actor, reason) {
+        try {
+            const memes = await this.findMany('memes', { id: memeId }, { select: 'id, is_active' });
+            if (!memes.length) {
+                throw new Error(`Meme with ID ${memeId} not found`);
+            }
+
+            if (memes[0].is_active) {
+                await this.update('memes', memeId, {
+                    is_active: false,
+                    moderation_status: 'removed',
+                    updated_at: new Date().toISOString()
+                });
+
+                messageService.broadcastMemeDeleted(memeId, actor.username);
+                messageService.updateLeaderboard();
+
+                await moderationService.recordAction(actor.username, 'deactivate_meme', 'meme', memeId, {
+                    reason: reason || null
+                });
+            }
+
+            logger.info(`${actor.username} deactivated meme ${memeId}${reason ? `: ${reason}` : ''}`);
+            return { id: memeId, deleted: true };
+        } catch (error) {
+            logger.error('Error deactivating meme:', error);
+            throw error;
+        }
+    }
+
+    getWebSocketMetrics() {
+        return {
+            ...webSocketManager.getConnectionMetrics(),
+            connectedUsers: webSocketManager.getConnectedUsers()
+        };
+    }
+
+    clearGeminiCache(actor) {
+        const before = geminiService.getCacheStats();
+        geminiService.clearCache();
+        logger.info(`${actor.username} cleared the Gemini cache (${before.keys} keys)`);
+        return { clearedKeys: before.keys };
+    }
+
+    async sendAnnouncement(message, level, actor) {
+        await messageService.systemAnnouncement(message, level);
+        logger.info(`${actor.username} sent a ${level} announcement`);
+        return { message, level };
+    }
+}
+
+module.exports = new AdminService();
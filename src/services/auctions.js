@@ -0,0 +1,115 @@
+const messageService = require('../ws/ws');
+const notificationService = require('./notifications');
+const { DatabaseService } = require('../database/db');
+const { logger } = require('../utils/logger');
+
+class AuctionService extends DatabaseService {
+    constructor() {
+        super();
+        this.sweepIntervalMs = Number(process.env.AUCTION_SWEEP_INTERVAL_MS || 15000);
+        // Bids landing in the last snipeWindowSeconds push the end out by snipeExtensionSeconds
+        this.snipeWindowSeconds = Number(process.env.AUCTION_SNIPE_WINDOW_SECONDS || 30);
+        this.snipeExtensionSeconds = Number(process.env.AUCTION_SNIPE_EXTENSION_SECONDS || 30);
+        this.timer = null;
+        this.isSweeping = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.closeExpiredAuctions(), this.sweepIntervalMs);
+        logger.info(`Auction scheduler started (every ${this.sweepIntervalMs}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            logger.info('Auction scheduler stopped');
+        }
+    }
+
+    async closeExpiredAuctions() {
+        // Skip this tick if the previous sweep is still running
+        if (this.isSweeping) return [];
+        this.isSweeping = true;
+
+        try {
+            const { data: expired, error } = await this.client()
+                .from('memes')
+                .select('id')
+                .eq('auction_status', 'open')
+                .lte('auction_ends_at', new Date().toISOString())
+                .order('auction_ends_at', { ascending: true })
+                .limit(50);
+
+            if (error) throw error;
+
+            const closed = [];
+            for (const { id } of expired) {
+                try {
+                    const result = await this.closeAuction(id);
+                    if (result) closed.push(result);
+                } catch (error) {
+                    logger.error(`Error closing auction for meme ${id}:`, error);
+                }
+            }
+            return closed;
+        } catch (error) {
+            logger.error('Error sweeping expired auctions:', error);
+            return [];
+        } finally {
+            this.isSweeping = false;
+        }
+    }
+
+    async closeAuction(memeId) {
+        try {
+            const result = await this.executeQuery(
+                this.client().rpc('close_auction', { p_meme_id: memeId })
+            );
+
+            // NULL means the auction was already closed or got extended
+            if (!result) return null;
+
+            const winningAmount = result.winning_bid_amount === null ? null : Number(result.winning_bid_amount);
+
+            messageService.broadcastAuctionClosed(
+                memeId,
+                result.meme_text,
+                result.winner,
+                winningAmount,
+                result.reserve_met
+            );
+            messageService.updateLeaderboard();
+
+            if (result.winner) {
+                notificationService.notify(result.winner, 'auction_won', {
+                    message: `You won ${result.meme_text} for ${winningAmount} credits!`,
+                    memeId,
+                    memeName: result.meme_text,
+                    amount: winningAmount
+                });
+            }
+            notificationService.notify(result.seller, result.winner ? 'auction_sold' : 'auction_unsold', {
+                message: result.winner
+                    ? `${result.meme_text} sold to ${result.winner} for ${winningAmount} credits`
+                    : `${result.meme_text} closed without meeting the reserve price`,
+                memeId,
+                memeName: result.meme_text,
+                winner: result.winner,
+                amount: winningAmount
+            });
+
+            logger.info(result.winner
+                ? `Auction closed: ${result.winner} won meme ${memeId} for ${winningAmount}`
+                : `Auction closed: meme ${memeId} had no winning bid`);
+
+            return { ...result, winning_bid_amount: winningAmount };
+        } catch (error) {
+            logger.error('Error closing auction:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new AuctionService();
@@ -1,13 +1,27 @@
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { DatabaseService } = require('../database/db');
+const walletService = require('./wallet');
+const mailerService = require('./mailer/service');
+const loginGuard = require('./loginGuard');
 const { logger } = require('../utils/logger');
 
 class AuthService extends DatabaseService {
     constructor() {
         super();
-        this.jwtSecret = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
-        this.tokenExpiry = '30d'; // 30 days
+        this.jwtSecret = process.env.JWT_SECRET;
+        this.tokenExpiry = process.env.ACCESS_TOKEN_TTL || '15m';
+        this.refreshTokenTtlDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+        this.emailVerificationTtlHours = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 24);
+        this.passwordResetTtlMinutes = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 30);
+    }
+
+    getJwtSecret() {
+        if (!this.jwtSecret) {
+            throw new Error('JWT_SECRET is not configured');
+        }
+        return this.jwtSecret;
     }
 
     async hashPassword(password) {
@@ -20,17 +34,147 @@ class AuthService extends DatabaseService {
     }
 
     generateToken(payload) {
-        return jwt.sign(payload, this.jwtSecret, { expiresIn: this.tokenExpiry });
+        return jwt.sign(payload, this.getJwtSecret(), { expiresIn: this.tokenExpiry });
     }
 
     verifyToken(token) {
+        const secret = this.getJwtSecret();
         try {
-            return jwt.verify(token, this.jwtSecret);
+            return jwt.verify(token, secret);
         } catch (error) {
             throw new Error('Invalid or expired token');
         }
     }
 
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Issue an access token plus a refresh token in the given session family.
+    // Only the refresh token's hash is stored.
+    async createSession(user, familyId = crypto.randomUUID()) {
+        const refreshToken = crypto.randomBytes(48).toString('base64url');
+        const refreshExpiresAt = new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000).toISOString();
+
+        await this.create('refresh_tokens', {
+            user_id: user.id,
+            family_id: familyId,
+            token_hash: this.hashToken(refreshToken),
+            expires_at: refreshExpiresAt,
+            created_at: new Date().toISOString()
+        });
+
+        const token = this.generateToken({
+            id: user.id,
+            email: user.email,
+            username: user.username,
+            sid: familyId
+        });
+
+        return {
+            token,
+            expiresIn: this.tokenExpiry,
+            refreshToken,
+            refreshExpiresAt
+        };
+    }
+
+    // A session stays active while its family has an unrevoked, unexpired token
+    async isSessionActive(sessionId) {
+        if (!sessionId) return false;
+
+        const { data, error } = await this.client()
+            .from('refresh_tokens')
+            .select('id')
+            .eq('family_id', sessionId)
+            .is('revoked_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .limit(1);
+
+        if (error) throw error;
+        return data.length > 0;
+    }
+
+    async revokeSession(sessionId, reason = 'logout') {
+        try {
+            await this.executeQuery(
+                this.client()
+                    .from('refresh_tokens')
+                    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+                    .eq('family_id', sessionId)
+                    .is('revoked_at', null)
+            );
+            logger.info(`Session ${sessionId} revoked (${reason})`);
+        } catch (error) {
+            logger.error('Error revoking session:', error);
+            throw error;
+        }
+    }
+
+    async revokeAllSessions(userId, reason = 'logout_all') {
+        try {
+            await this.executeQuery(
+                this.client()
+                    .from('refresh_tokens')
+                    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+                    .eq('user_id', userId)
+                    .is('revoked_at', null)
+            );
+            logger.info(`All sessions revoked for user ${userId} (${reason})`);
+        } catch (error) {
+            logger.error('Error revoking all sessions:', error);
+            throw error;
+        }
+    }
+
+    // Rotate a refresh token. Presenting a token that was already rotated
+    // means it leaked, so the whole family is revoked.
+    async refreshSession(refreshToken) {
+        try {
+            const tokenHash = this.hashToken(refreshToken);
+            const matches = await this.findMany('refresh_tokens', { token_hash: tokenHash });
+            const stored = matches[0];
+
+            if (!stored) {
+                throw new Error('Invalid refresh token');
+            }
+
+            if (stored.revoked_reason === 'rotated') {
+                await this.revokeSession(stored.family_id, 'reuse_detected');
+                logger.warn(`Refresh token reuse detected for user ${stored.user_id}, family ${stored.family_id}`);
+                throw new Error('Refresh token reuse detected');
+            }
+
+            if (stored.revoked_at || new Date(stored.expires_at) <= new Date()) {
+                throw new Error('Invalid refresh token');
+            }
+
+            // Claim the token; losing this race to a concurrent refresh also counts as reuse
+            const claimed = await this.executeQuery(
+                this.client()
+                    .from('refresh_tokens')
+                    .update({ revoked_at: new Date().toISOString(), revoked_reason: 'rotated' })
+                    .eq('id', stored.id)
+                    .is('revoked_at', null)
+                    .select('id')
+            );
+
+            if (!claimed.length) {
+                await this.revokeSession(stored.family_id, 'reuse_detected');
+                throw new Error('Refresh token reuse detected');
+            }
+
+            const user = await this.findById('users', stored.user_id);
+            const session = await this.createSession(user, stored.family_id);
+
+            logger.info(`Session refreshed for ${user.username}`);
+            return session;
+        } catch (error) {
+            logger.error('Error refreshing session:', error);
+            throw error;
+        }
+    }
+
     async registerUser(userData) {
         try {
             const { email, username, name, password } = userData;
@@ -59,13 +203,23 @@ class AuthService extends DatabaseService {
                 updated_at: new Date().toISOString()
             });
 
-            // Generate JWT token
-            const token = this.generateToken({
-                id: newUser.id,
-                email: newUser.email,
-                username: newUser.username
+            // Create the user's wallet with the signup bonus. A failure here
+            // should not undo the registration, so it is only logged.
+            try {
+                await walletService.createWallet(newUser.username);
+            } catch (error) {
+                logger.error(`Failed to create wallet for ${newUser.username}:`, error);
+            }
+
+            // Mail the verification link in the background; the user can
+            // ask for a new one if it never arrives.
+            this.sendVerificationEmail(newUser).catch(error => {
+                logger.error(`Failed to send verification email to ${newUser.username}:`, error);
             });
 
+            // Start a session with access and refresh tokens
+            const session = await this.createSession(newUser);
+
             // Remove password from response
             const { password: _, ...userResponse } = newUser;
 
@@ -73,8 +227,7 @@ class AuthService extends DatabaseService {
             
             return {
                 user: userResponse,
-                token,
-                expiresIn: this.tokenExpiry
+                ...session
             };
         } catch (error) {
             logger.error('Error registering user:', error);
@@ -82,28 +235,35 @@ class AuthService extends DatabaseService {
         }
     }
 
-    async loginUser(credentials) {
+    async loginUser(credentials, { ip } = {}) {
         try {
             const { email, password } = credentials;
 
+            // Refuse before touching bcrypt while the account or IP is locked out
+            await loginGuard.assertAllowed(email, ip);
+
             // Find user by email
             const user = await this.findUserByEmail(email);
             if (!user) {
+                await loginGuard.recordFailure(email, ip);
                 throw new Error('Invalid email or password');
             }
 
             // Compare password
             const isPasswordValid = await this.comparePassword(password, user.password);
             if (!isPasswordValid) {
+                await loginGuard.recordFailure(email, ip);
                 throw new Error('Invalid email or password');
             }
 
-            // Generate JWT token
-            const token = this.generateToken({
-                id: user.id,
-                email: user.email,
-                username: user.username
-            });
+            if (user.banned_at) {
+                throw new Error('Account is banned');
+            }
+
+            await loginGuard.recordSuccess(email);
+
+            // Start a session with access and refresh tokens
+            const session = await this.createSession(user);
 
             // Remove password from response
             const { password: _, ...userResponse } = user;
@@ -112,8 +272,7 @@ class AuthService extends DatabaseService {
             
             return {
                 user: userResponse,
-                token,
-                expiresIn: this.tokenExpiry
+                ...session
             };
         } catch (error) {
             logger.error('Error logging in user:', error);
@@ -121,6 +280,184 @@ class AuthService extends DatabaseService {
         }
     }
 
+    // Issue a single-use token for an emailed link. Earlier unused tokens for
+    // the same purpose are invalidated so only the latest link works.
+    async issueUserToken(userId, purpose, ttlMs) {
+        await this.executeQuery(
+            this.client()
+                .from('user_tokens')
+                .update({ used_at: new Date().toISOString() })
+                .eq('user_id', userId)
+                .eq('purpose', purpose)
+                .is('used_at', null)
+        );
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        await this.create('user_tokens', {
+            user_id: userId,
+            purpose,
+            token_hash: this.hashToken(token),
+            expires_at: new Date(Date.now() + ttlMs).toISOString(),
+            created_at: new Date().toISOString()
+        });
+
+        return token;
+    }
+
+    // Atomically mark a token as used and return its user id
+    async consumeUserToken(token, purpose) {
+        const claimed = await this.executeQuery(
+            this.client()
+                .from('user_tokens')
+                .update({ used_at: new Date().toISOString() })
+                .eq('token_hash', this.hashToken(token))
+                .eq('purpose', purpose)
+                .is('used_at', null)
+                .gt('expires_at', new Date().toISOString())
+                .select('user_id')
+        );
+
+        if (!claimed.length) {
+            throw new Error('Invalid or expired link token');
+        }
+        return claimed[0].user_id;
+    }
+
+    async sendVerificationEmail(user) {
+        const token = await this.issueUserToken(
+            user.id,
+            'email_verification',
+            this.emailVerificationTtlHours * 60 * 60 * 1000
+        );
+        await mailerService.sendVerificationEmail(user, token, this.emailVerificationTtlHours);
+    }
+
+    async resendVerificationEmail(userId) {
+        try {
+            const user = await this.findById('users', userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+            if (user.email_verified_at) {
+                throw new Error('Email is already verified');
+            }
+
+            await this.sendVerificationEmail(user);
+            logger.info(`Verification email resent to ${user.username}`);
+        } catch (error) {
+            logger.error('Error resending verification email:', error);
+            throw error;
+        }
+    }
+
+    async verifyEmail(token) {
+        try {
+            const userId = await this.consumeUserToken(token, 'email_verification');
+            const user = await this.update('users', userId, {
+                email_verified_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            });
+
+            logger.info(`Email verified for ${user.username}`);
+
+            const { password: _, ...userResponse } = user;
+            return userResponse;
+        } catch (error) {
+            logger.error('Error verifying email:', error);
+            throw error;
+        }
+    }
+
+    // Returns before looking anything up, so the response time and outcome are
+    // the same whether or not the email belongs to an account
+    requestPasswordReset(email) {
+        this.sendPasswordReset(email).catch(error => {
+            logger.error('Error requesting password reset:', error);
+        });
+    }
+
+    async sendPasswordReset(email) {
+        const user = await this.findUserByEmail(email);
+        if (!user) {
+            logger.info('Password reset requested for an unknown email');
+            return;
+        }
+
+        const token = await this.issueUserToken(
+            user.id,
+            'password_reset',
+            this.passwordResetTtlMinutes * 60 * 1000
+        );
+        await mailerService.sendPasswordResetEmail(user, token, this.passwordResetTtlMinutes);
+
+        logger.info(`Password reset requested for ${user.username}`);
+    }
+
+    // Set a new password and sign the user out everywhere
+    async resetPassword(token, newPassword) {
+        try {
+            const userId = await this.consumeUserToken(token, 'password_reset');
+            const existing = await this.findById('users', userId);
+            const hashedPassword = await this.hashPassword(newPassword);
+
+            const user = await this.update('users', userId, {
+                password: hashedPassword,
+                // Receiving the reset link proves ownership of the address
+                email_verified_at: existing.email_verified_at || new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            });
+            await this.revokeAllSessions(userId, 'password_reset');
+
+            logger.info(`Password reset for ${user.username}`);
+
+            const { password: _, ...userResponse } = user;
+            return userResponse;
+        } catch (error) {
+            logger.error('Error resetting password:', error);
+            throw error;
+        }
+    }
+
+    // Change the password of a signed-in user. Every other session is revoked
+    // so a stolen session cannot outlive the change.
+    async changePassword(userId, currentPassword, newPassword, currentSessionId) {
+        try {
+            const user = await this.findById('users', userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            const isPasswordValid = await this.comparePassword(currentPassword, user.password);
+            if (!isPasswordValid) {
+                throw new Error('Current password is incorrect');
+            }
+
+            await this.update('users', userId, {
+                password: await this.hashPassword(newPassword),
+                updated_at: new Date().toISOString()
+            });
+
+            await this.executeQuery(
+                this.client()
+                    .from('refresh_tokens')
+                    .update({ revoked_at: new Date().toISOString(), revoked_reason: 'password_changed' })
+                    .eq('user_id', userId)
+                    .neq('family_id', currentSessionId)
+                    .is('revoked_at', null)
+            );
+
+            logger.info(`Password changed for ${user.username}`);
+        } catch (error) {
+            logger.error('Error changing password:', error);
+            throw error;
+        }
+    }
+
+    async verifyPassword(userId, password) {
+        const user = await this.findById('users', userId);
+        return !!user && await this.comparePassword(password, user.password);
+    }
+
     async findUserByEmail(email) {
         try {
             const users = await this.findMany('users', { email });
@@ -0,0 +1,122 @@
+const geminiService = require('./gemini/service');
+const llmService = require('./llm/service');
+const { logger } = require('../utils/logger');
+
+const CATEGORIES = ['hate', 'harassment', 'sexual', 'violence', 'self_harm', 'spam'];
+
+// Scores at or above hold send a meme to the review queue; at or above reject
+// refuse it outright. Override per category with CONTENT_SAFETY_POLICY, e.g.
+// {"spam":{"hold":0.7,"reject":1.1}}
+const DEFAULT_POLICY = {
+    hate: { hold: 0.5, reject: 0.85 },
+    harassment: { hold: 0.5, reject: 0.85 },
+    sexual: { hold: 0.5, reject: 0.85 },
+    violence: { hold: 0.5, reject: 0.85 },
+    self_harm: { hold: 0.4, reject: 0.85 },
+    spam: { hold: 0.6, reject: 0.95 }
+};
+
+// Deterministic fallback lists. strong phrases score 0.9, weak ones 0.6.
+const KEYWORDS = {
+    hate: {
+        strong: ['ethnic cleansing', 'gas the', 'master race'],
+        weak: ['nazi', 'genocide', 'subhuman']
+    },
+    harassment: {
+        strong: ['kill yourself', 'kys', 'doxx', 'dox him', 'dox her'],
+        weak: ['go die', 'nobody likes you', 'you are worthless']
+    },
+    sexual: {
+        strong: ['porn', 'nudes', 'onlyfans', 'xxx'],
+        weak: ['nsfw', 'nude', 'sexy', 'lewd']
+    },
+    violence: {
+        strong: ['shoot up', 'bomb threat', 'going to kill', 'gonna kill'],
+        weak: ['murder', 'massacre', 'stab', 'behead']
+    },
+    self_harm: {
+        strong: ['self harm', 'cut myself', 'how to end it all'],
+        weak: ['suicide', 'want to die', 'kms']
+    },
+    spam: {
+        strong: ['free crypto', 'buy followers', 'double your bitcoin', 'dm for promo'],
+        weak: ['click here', 'giveaway', 'limited offer', 'airdrop']
+    }
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const KEYWORD_PATTERNS = Object.fromEntries(Object.entries(KEYWORDS).map(([category, { strong, weak }]) => [
+    category,
+    {
+        strong: new RegExp(`\\b(${strong.map(escapeRegExp).join('|')})\\b`, 'i'),
+        weak: new RegExp(`\\b(${weak.map(escapeRegExp).join('|')})\\b`, 'i')
+    }
+]));
+
+class ContentSafetyService {
+    constructor() {
+        // 'ai' asks Gemini and falls back to keywords; 'keywords' never calls out
+        this.classifier = process.env.CONTENT_SAFETY_CLASSIFIER || 'ai';
+        this.policy = this.loadPolicy(process.env.CONTENT_SAFETY_POLICY);
+    }
+
+    loadPolicy(override) {
+        if (!override) return DEFAULT_POLICY;
+
+        try {
+            const parsed = JSON.parse(override);
+            return Object.fromEntries(CATEGORIES.map(category => [
+                category,
+                { ...DEFAULT_POLICY[category], ...parsed[category] }
+            ]));
+        } catch (error) {
+            logger.error('Invalid CONTENT_SAFETY_POLICY, using the default policy:', error);
+            return DEFAULT_POLICY;
+        }
+    }
+
+    classifyWithKeywords({ text, tags = [], caption = '', vibe = '' }) {
+        const content = [text, ...tags, caption, vibe].join(' \n ');
+        return CATEGORIES.reduce((scores, category) => {
+            const patterns = KEYWORD_PATTERNS[category];
+            scores[category] = patterns.strong.test(content) ? 0.9 : patterns.weak.test(content) ? 0.6 : 0;
+            return scores;
+        }, {});
+    }
+
+    // The mock provider cannot judge content, so offline runs use the keyword lists
+    usesAI() {
+        return this.classifier === 'ai' && llmService.getProvider('moderation').name !== 'mock';
+    }
+
+    async classify(content) {
+        if (this.usesAI()) {
+            try {
+                return { scores: await geminiService.moderateContent(content, CATEGORIES), source: 'ai' };
+            } catch (error) {
+                logger.warn(`AI moderation unavailable, using keyword classifier: ${error.message}`);
+            }
+        }
+        return { scores: this.classifyWithKeywords(content), source: 'keywords' };
+    }
+
+    // Classify meme content and apply the policy. Returns the decision
+    // ('allow', 'hold' or 'reject') with the categories that triggered it.
+    async screen(content) {
+        const { scores, source } = await this.classify(content);
+
+        const rejected = CATEGORIES.filter(category => scores[category] >= this.policy[category].reject);
+        const held = CATEGORIES.filter(category => scores[category] >= this.policy[category].hold);
+
+        const decision = rejected.length ? 'reject' : held.length ? 'hold' : 'allow';
+        return {
+            decision,
+            flagged: rejected.length ? rejected : held,
+            scores,
+            source
+        };
+    }
+}
+
+module.exports = new ContentSafetyService();
@@ -0,0 +1,92 @@
+jest.mock('../utils/logger', () => ({
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const contentSafetyService = require('./contentSafety');
+const llmService = require('./llm/service');
+const MockProvider = require('./llm/providers/mock');
+
+const zeroScores = { hate: 0, harassment: 0, sexual: 0, violence: 0, self_harm: 0, spam: 0 };
+
+describe('ContentSafetyService.screen', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+        contentSafetyService.policy = contentSafetyService.loadPolicy();
+    });
+
+    it.each([
+        [{ violence: 0.49 }, 'allow', []],
+        [{ violence: 0.5 }, 'hold', ['violence']],
+        [{ violence: 0.85 }, 'reject', ['violence']],
+        [{ self_harm: 0.4 }, 'hold', ['self_harm']],
+        [{ spam: 0.59 }, 'allow', []]
+    ])('applies the default thresholds to %j', async (scores, decision, flagged) => {
+        jest.spyOn(contentSafetyService, 'classify').mockResolvedValue({ scores: { ...zeroScores, ...scores }, source: 'ai' });
+
+        const result = await contentSafetyService.screen({ text: 'meme' });
+        expect(result.decision).toBe(decision);
+        expect(result.flagged).toEqual(flagged);
+    });
+
+    it('reports only the rejecting categories when one rejects', async () => {
+        jest.spyOn(contentSafetyService, 'classify').mockResolvedValue({
+            scores: { ...zeroScores, hate: 0.9, spam: 0.7 },
+            source: 'ai'
+        });
+
+        const result = await contentSafetyService.screen({ text: 'meme' });
+        expect(result.decision).toBe('reject');
+        expect(result.flagged).toEqual(['hate']);
+    });
+
+    it('merges CONTENT_SAFETY_POLICY overrides with the defaults', async () => {
+        contentSafetyService.policy = contentSafetyService.loadPolicy('{"spam":{"hold":0.2}}');
+        jest.spyOn(contentSafetyService, 'classify').mockResolvedValue({ scores: { ...zeroScores, spam: 0.3 }, source: 'ai' });
+
+        const result = await contentSafetyService.screen({ text: 'meme' });
+        expect(result.decision).toBe('hold');
+        expect(contentSafetyService.policy.spam.reject).toBe(0.95);
+    });
+
+    it('falls back to the default policy on invalid JSON', () => {
+        expect(contentSafetyService.loadPolicy('{not json').hate).toEqual({ hold: 0.5, reject: 0.85 });
+    });
+});
+
+describe('ContentSafetyService keyword classifier', () => {
+    afterEach(() => {
+        llmService.overrides.delete('moderation');
+    });
+
+    it('scores strong and weak phrases', () => {
+        const scores = contentSafetyService.classifyWithKeywords({ text: 'free crypto', tags: ['kms'] });
+        expect(scores.spam).toBe(0.9);
+        expect(scores.self_harm).toBe(0.6);
+        expect(scores.hate).toBe(0);
+    });
+
+    it('is used when the moderation provider is the mock', async () => {
+        llmService.setProvider('moderation', new MockProvider());
+
+        const result = await contentSafetyService.screen({ text: 'kms lol' });
+        expect(result).toMatchObject({ decision: 'hold', flagged: ['self_harm'], source: 'keywords' });
+    });
+
+    it('takes over when the AI classifier fails', async () => {
+        llmService.setProvider('moderation', {
+            name: 'broken',
+            modelName: 'broken',
+            generateJSON: jest.fn().mockRejectedValue(new Error('Malformed JSON response'))
+        });
+
+        const result = await contentSafetyService.screen({ text: 'kill yourself' });
+        expect(result).toMatchObject({ decision: 'reject', flagged: ['harassment'], source: 'keywords' });
+    });
+
+    it('allows harmless content', async () => {
+        llmService.setProvider('moderation', new MockProvider());
+
+        const result = await contentSafetyService.screen({ text: 'When the wifi finally connects', tags: ['wifi'] });
+        expect(result.decision).toBe('allow');
+    });
+});
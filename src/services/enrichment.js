@@ -0,0 +1,94 @@
+const geminiService = require('./gemini/service');
+const contentSafetyService = require('./contentSafety');
+const jobQueue = require('./jobs');
+const messageService = require('../ws/ws');
+const { DatabaseService } = require('../database/db');
+const { logger } = require('../utils/logger');
+
+const ENRICH_MEME_JOB = 'enrich_meme';
+
+// Fills in AI captions and vibe descriptions after a meme is created, so
+// creating a meme never waits on the LLM. The jobs themselves are inserted by
+// the create_meme database function.
+class EnrichmentService extends DatabaseService {
+    constructor() {
+        super();
+        this.concurrency = Number(process.env.ENRICHMENT_CONCURRENCY || 2);
+        this.maxAttempts = Number(process.env.ENRICHMENT_MAX_ATTEMPTS || 4);
+    }
+
+    register() {
+        jobQueue.register(ENRICH_MEME_JOB, job => this.enrichMeme(job), {
+            onDead: job => this.markFailed(job.payload.memeId),
+            concurrency: this.concurrency,
+            maxAttempts: this.maxAttempts
+        });
+    }
+
+    async enrichMeme(job) {
+        const { memeId } = job.payload;
+        const [meme] = await this.findMany('memes', { id: memeId });
+        if (!meme || meme.enrichment_status === 'completed') {
+            logger.info(`Skipping enrichment for meme ${memeId}: ${meme ? 'already enriched' : 'not found'}`);
+            return null;
+        }
+
+        const tags = meme.meta?.tags || [];
+
+        // Earlier attempts fail so the queue retries once the provider recovers;
+        // the last one settles for the fallback templates
+        const fallback = job.attempts >= job.max_attempts;
+        let [caption, vibe_description] = await Promise.all([
+            geminiService.generateMemeCaption(tags, { fallback }),
+            geminiService.generateMemeVibeDescription(tags, { fallback })
+        ]);
+
+        // The meme itself was screened on creation; this only checks the generated text
+        const screening = await contentSafetyService.screen({ text: '', caption, vibe: vibe_description });
+        if (screening.decision !== 'allow') {
+            logger.warn(`Generated text for meme ${memeId} flagged (${screening.flagged.join(', ')}), using fallback`);
+            caption = geminiService.getFallbackCaption(tags);
+            vibe_description = geminiService.getFallbackVibeDescription(tags);
+        }
+
+        const enriched = {
+            caption: caption.substring(0, 500), // Limit caption length
+            vibe_description: vibe_description.substring(0, 1000), // Limit description length
+            enrichment_status: 'completed'
+        };
+        await this.executeQuery(
+            this.client()
+                .from('memes')
+                .update({ ...enriched, updated_at: new Date().toISOString() })
+                .eq('id', memeId)
+        );
+
+        // Held and deleted memes are enriched quietly
+        if (meme.is_active) {
+            messageService.broadcastMemeEnriched(memeId, enriched);
+        }
+
+        logger.info(`Meme ${memeId} enriched`);
+        return enriched;
+    }
+
+    async markFailed(memeId) {
+        const [meme] = await this.findMany('memes', { id: memeId });
+        if (!meme || meme.enrichment_status !== 'pending') return;
+
+        await this.update('memes', memeId, {
+            enrichment_status: 'failed',
+            updated_at: new Date().toISOString()
+        });
+
+        if (meme.is_active) {
+            messageService.broadcastMemeEnriched(memeId, {
+                caption: null,
+                vibe_description: null,
+                enrichment_status: 'failed'
+            });
+        }
+    }
+}
+
+module.exports = new EnrichmentService();
@@ -0,0 +1,63 @@
+jest.mock('../utils/logger', () => ({
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+process.env.LLM_PROVIDER = 'mock';
+
+const enrichmentService = require('./enrichment');
+const geminiService = require('./gemini/service');
+const messageService = require('../ws/ws');
+
+describe('EnrichmentService.enrichMeme with the mock provider', () => {
+    let meme;
+    let updates;
+
+    beforeEach(() => {
+        meme = { id: 5, text: 'Neon nights', meta: { tags: ['neon', 'hack'] }, is_active: true, enrichment_status: 'pending' };
+        updates = [];
+        const query = {
+            update: jest.fn(changes => {
+                updates.push(changes);
+                return query;
+            }),
+            eq: jest.fn(() => Promise.resolve({ data: null, error: null }))
+        };
+        jest.spyOn(enrichmentService, 'findMany').mockImplementation(async () => [meme]);
+        jest.spyOn(enrichmentService, 'client').mockReturnValue({ from: () => query });
+        jest.spyOn(messageService, 'broadcastMemeEnriched').mockResolvedValue(true);
+        geminiService.clearCache();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('stores a deterministic caption and emits meme_enriched', async () => {
+        const job = { payload: { memeId: 5 }, attempts: 1, max_attempts: 4 };
+        const first = await enrichmentService.enrichMeme(job);
+        geminiService.clearCache();
+        const second = await enrichmentService.enrichMeme(job);
+
+        expect(first).toEqual(second);
+        expect(first.enrichment_status).toBe('completed');
+        expect(first.caption.length).toBeGreaterThan(0);
+        expect(updates[0]).toMatchObject(first);
+        expect(messageService.broadcastMemeEnriched).toHaveBeenCalledWith(5, first);
+    });
+
+    it('throws on early attempts so the queue retries, and falls back on the last', async () => {
+        jest.spyOn(geminiService, 'generateText').mockRejectedValue(new Error('mock API failed: down'));
+
+        await expect(enrichmentService.enrichMeme({ payload: { memeId: 5 }, attempts: 1, max_attempts: 4 }))
+            .rejects.toThrow('down');
+
+        const result = await enrichmentService.enrichMeme({ payload: { memeId: 5 }, attempts: 4, max_attempts: 4 });
+        expect(result.caption).toBe(geminiService.getFallbackCaption(['neon', 'hack']));
+    });
+
+    it('skips memes that are already enriched', async () => {
+        meme.enrichment_status = 'completed';
+        expect(await enrichmentService.enrichMeme({ payload: { memeId: 5 }, attempts: 1, max_attempts: 4 })).toBeNull();
+        expect(messageService.broadcastMemeEnriched).not.toHaveBeenCalled();
+    });
+});
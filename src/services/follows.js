@@ -0,0 +1,153 @@
+const notificationService = require('./notifications');
+const { DatabaseService } = require('../database/db');
+const { logger } = require('../utils/logger');
+const { applyKeyset, buildPage } = require('../utils/pagination');
+
+class FollowService extends DatabaseService {
+    constructor() {
+        super();
+    }
+
+    async ensureUserExists(username) {
+        const users = await this.findMany('users', { username }, { select: 'username, deleted_at' });
+        if (!users.length || users[0].deleted_at) {
+            throw new Error(`User ${username} not found`);
+        }
+    }
+
+    async follow(follower, followee) {
+        try {
+            if (follower === followee) {
+                throw new Error('You cannot follow yourself');
+            }
+            await this.ensureUserExists(followee);
+
+            const inserted = await this.executeQuery(
+                this.client()
+                    .from('follows')
+                    .upsert({
+                        follower_username: follower,
+                        followee_username: followee,
+                        created_at: new Date().toISOString()
+                    }, { onConflict: 'follower_username,followee_username', ignoreDuplicates: true })
+                    .select('id')
+            );
+
+            // Only a brand new follow notifies the followee
+            if (inserted.length) {
+                notificationService.notify(followee, 'new_follower', {
+                    message: `${follower} started following you`,
+                    follower
+                });
+                logger.info(`${follower} followed ${followee}`);
+            }
+
+            return { follower, followee, following: true };
+        } catch (error) {
+            logger.error('Error following user:', error);
+            throw error;
+        }
+    }
+
+    async unfollow(follower, followee) {
+        try {
+            await this.executeQuery(
+                this.client()
+                    .from('follows')
+                    .delete()
+                    .eq('follower_username', follower)
+                    .eq('followee_username', followee)
+            );
+
+            logger.info(`${follower} unfollowed ${followee}`);
+            return { follower, followee, following: false };
+        } catch (error) {
+            logger.error('Error unfollowing user:', error);
+            throw error;
+        }
+    }
+
+    // List one side of the graph: 'followers' of a user or who they are 'following'
+    async listConnections(username, direction, options = {}) {
+        try {
+            const { cursor = null, limit = 20 } = options;
+            const [matchColumn, otherColumn] = direction === 'followers'
+                ? ['followee_username', 'follower_username']
+                : ['follower_username', 'followee_username'];
+            const keyset = { column: 'created_at', ascending: false, limit };
+
+            await this.ensureUserExists(username);
+
+            const { query, cursor: decodedCursor } = applyKeyset(
+                this.client()
+                    .from('follows')
+                    .select(`id, ${otherColumn}, created_at`)
+                    .eq(matchColumn, username),
+                { ...keyset, cursor }
+            );
+
+            const { data: rows, error } = await query;
+            if (error) throw error;
+
+            const { items, pagination } = buildPage(rows, { ...keyset, cursor: decodedCursor });
+            return {
+                users: items.map(row => ({
+                    username: row[otherColumn],
+                    followed_at: row.created_at
+                })),
+                pagination
+            };
+        } catch (error) {
+            logger.error(`Error listing ${direction} for ${username}:`, error);
+            throw error;
+        }
+    }
+
+    async getFollowers(username, options = {}) {
+        return this.listConnections(username, 'followers', options);
+    }
+
+    async getFollowing(username, options = {}) {
+        return this.listConnections(username, 'following', options);
+    }
+
+    async getFollowerUsernames(username) {
+        const rows = await this.findMany('follows', { followee_username: username }, { select: 'follower_username' });
+        return rows.map(row => row.follower_username);
+    }
+
+    async getFollowingUsernames(username) {
+        const rows = await this.findMany('follows', { follower_username: username }, { select: 'followee_username' });
+        return rows.map(row => row.followee_username);
+    }
+
+    async countRows(column, username) {
+        const { count, error } = await this.client()
+            .from('follows')
+            .select('id', { count: 'exact', head: true })
+            .eq(column, username);
+
+        if (error) throw error;
+        return count;
+    }
+
+    async getFollowCounts(username) {
+        try {
+            const [followers_count, following_count] = await Promise.all([
+                this.countRows('followee_username', username),
+                this.countRows('follower_username', username)
+            ]);
+            return { followers_count, following_count };
+        } catch (error) {
+            logger.error('Error counting follows:', error);
+            throw error;
+        }
+    }
+
+    async isFollowing(follower, followee) {
+        const rows = await this.findMany('follows', { follower_username: follower, followee_username: followee }, { select: 'id' });
+        return rows.length > 0;
+    }
+}
+
+module.exports = new FollowService();
@@ -0,0 +1,233 @@
+const os = require('os');
+const { DatabaseService } = require('../database/db');
+const { logger } = require('../utils/logger');
+
+// Persistent background jobs. Handlers are registered per job type with their
+// own concurrency and retry settings; jobs that keep failing are dead-lettered
+// (status 'dead') and can be retried from the admin API.
+class JobQueue extends DatabaseService {
+    constructor() {
+        super();
+        this.pollIntervalMs = Number(process.env.JOB_POLL_INTERVAL_MS || 1000);
+        // Running jobs older than this are assumed abandoned and get claimed again
+        this.leaseSeconds = Number(process.env.JOB_LEASE_SECONDS || 120);
+        this.workerId = `${process.env.SERVER_ID || os.hostname()}:${process.pid}`;
+        this.handlers = new Map(); // type -> { handler, onDead, concurrency, maxAttempts, retryBaseDelayMs, active }
+        this.timer = null;
+        this.isPolling = false;
+    }
+
+    // onDead(job, error) runs once a job runs out of attempts
+    register(type, handler, options = {}) {
+        const {
+            onDead = null,
+            concurrency = 2,
+            maxAttempts = 5,
+            retryBaseDelayMs = 5000
+        } = options;
+
+        this.handlers.set(type, { handler, onDead, concurrency, maxAttempts, retryBaseDelayMs, active: 0 });
+        logger.info(`Job handler registered: ${type} (concurrency ${concurrency}, max attempts ${maxAttempts})`);
+    }
+
+    async enqueue(type, payload = {}, options = {}) {
+        try {
+            const registered = this.handlers.get(type);
+            const job = await this.create('jobs', {
+                type,
+                payload,
+                max_attempts: options.maxAttempts || registered?.maxAttempts || 5,
+                run_at: new Date(options.runAt || Date.now()).toISOString(),
+                created_at: new Date().toISOString()
+            });
+
+            logger.info(`Job ${job.id} enqueued: ${type}`);
+            return job;
+        } catch (error) {
+            logger.error(`Error enqueueing ${type} job:`, error);
+            throw error;
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+        logger.info(`Job worker ${this.workerId} started (every ${this.pollIntervalMs}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            logger.info(`Job worker ${this.workerId} stopped`);
+        }
+    }
+
+    // Claim as many jobs per type as there are free worker slots and run them
+    // without waiting, so slow jobs never hold up the next poll
+    async poll() {
+        // Skip this tick if the previous claim round is still running
+        if (this.isPolling) return 0;
+        this.isPolling = true;
+
+        let claimed = 0;
+        try {
+            for (const [type, registration] of this.handlers) {
+                const freeSlots = registration.concurrency - registration.active;
+                if (freeSlots <= 0) continue;
+
+                try {
+                    const jobs = await this.executeQuery(
+                        this.client().rpc('claim_jobs', {
+                            p_type: type,
+                            p_worker: this.workerId,
+                            p_limit: freeSlots,
+                            p_lease_seconds: this.leaseSeconds
+                        })
+                    );
+
+                    for (const job of jobs) {
+                        registration.active += 1;
+                        this.runJob(job, registration).finally(() => {
+                            registration.active -= 1;
+                        });
+                    }
+                    claimed += jobs.length;
+                } catch (error) {
+                    logger.error(`Error claiming ${type} jobs:`, error);
+                }
+            }
+            return claimed;
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    async runJob(job, registration) {
+        try {
+            const result = await registration.handler(job);
+            await this.finishJob(job, {
+                status: 'completed',
+                completed_at: new Date().toISOString(),
+                last_error: null
+            });
+            logger.info(`Job ${job.id} (${job.type}) completed on attempt ${job.attempts}`);
+            return result;
+        } catch (error) {
+            if (job.attempts >= job.max_attempts) {
+                await this.finishJob(job, { status: 'dead', last_error: error.message });
+                logger.error(`Job ${job.id} (${job.type}) dead-lettered after ${job.attempts} attempts: ${error.message}`);
+
+                if (registration.onDead) {
+                    try {
+                        await registration.onDead(job, error);
+                    } catch (hookError) {
+                        logger.error(`Dead-letter hook failed for job ${job.id}:`, hookError);
+                    }
+                }
+                return null;
+            }
+
+            // Exponential backoff between attempts, capped at an hour
+            const delayMs = Math.min(registration.retryBaseDelayMs * 2 ** (job.attempts - 1), 60 * 60 * 1000);
+            await this.finishJob(job, {
+                status: 'pending',
+                run_at: new Date(Date.now() + delayMs).toISOString(),
+                last_error: error.message
+            });
+            logger.warn(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}, retrying in ${delayMs}ms: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Release the lease. The locked_by check keeps a worker whose lease expired
+    // from overwriting the job after another worker has claimed it.
+    async finishJob(job, changes) {
+        try {
+            await this.executeQuery(
+                this.client()
+                    .from('jobs')
+                    .update({ ...changes, locked_by: null, locked_at: null })
+                    .eq('id', job.id)
+                    .eq('locked_by', this.workerId)
+            );
+        } catch (error) {
+            // The lease expires on its own and the job is claimed again
+            logger.error(`Error updating job ${job.id}:`, error);
+        }
+    }
+
+    async listJobs(options = {}) {
+        try {
+            const { page = 1, pageSize = 20, status, type } = options;
+            const offset = (page - 1) * pageSize;
+
+            let query = this.client()
+                .from('jobs')
+                .select('*', { count: 'exact' });
+
+            if (status) {
+                query = query.eq('status', status);
+            }
+            if (type) {
+                query = query.eq('type', type);
+            }
+
+            const { data: jobs, count, error } = await query
+                .order('updated_at', { ascending: false })
+                .order('id', { ascending: false })
+                .range(offset, offset + pageSize - 1);
+
+            if (error) throw error;
+
+            return {
+                jobs,
+                pagination: {
+                    page,
+                    pageSize,
+                    total: count,
+                    totalPages: Math.ceil(count / pageSize)
+                }
+            };
+        } catch (error) {
+            logger.error('Error listing jobs:', error);
+            throw error;
+        }
+    }
+
+    // Put a dead-lettered job back in the queue with a fresh set of attempts
+    async retryJob(jobId) {
+        try {
+            const [job] = await this.findMany('jobs', { id: jobId });
+            if (!job) {
+                throw new Error(`Job ${jobId} not found`);
+            }
+            if (job.status !== 'dead') {
+                throw new Error('Only dead jobs can be retried');
+            }
+
+            const updated = await this.update('jobs', jobId, {
+                status: 'pending',
+                attempts: 0,
+                run_at: new Date().toISOString(),
+                last_error: null
+            });
+
+            logger.info(`Dead job ${jobId} (${job.type}) requeued`);
+            return updated;
+        } catch (error) {
+            logger.error('Error retrying job:', error);
+            throw error;
+        }
+    }
+
+    getStats() {
+        return Array.from(this.handlers.entries()).map(([type, registration]) => ({
+            type,
+            active: registration.active,
+            concurrency: registration.concurrency
+        }));
+    }
+}
+
+module.exports = new JobQueue();
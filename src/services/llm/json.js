@@ -0,0 +1,18 @@
+// Pull the first JSON object out of a model response, tolerating code fences
+// and chatter around it
+const parseJSON = (text) => {
+    const match = text.match(/\{[\s\S]*\}/);
+    if (!match) {
+        throw new Error('Model response did not contain JSON');
+    }
+
+    try {
+        return JSON.parse(match[0]);
+    } catch (error) {
+        throw new Error(`Model response was not valid JSON: ${error.message}`);
+    }
+};
+
+module.exports = {
+    parseJSON
+};
@@ -0,0 +1,42 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { parseJSON } = require('../json');
+
+class GeminiProvider {
+    constructor({ apiKey, model, timeoutMs }) {
+        this.name = 'gemini';
+        this.apiKey = apiKey;
+        this.modelName = model;
+        // This SDK takes no abort signal, so requests get their own timeout
+        // and a timed-out attempt does not stay open while the next one runs
+        this.timeoutMs = timeoutMs;
+        this.model = null;
+    }
+
+    // Create the SDK client on first use so requiring this module needs no key
+    getModel() {
+        if (!this.model) {
+            if (!this.apiKey) {
+                throw new Error('GEMINI_API_KEY is not configured');
+            }
+            this.model = new GoogleGenerativeAI(this.apiKey).getGenerativeModel(
+                { model: this.modelName },
+                { timeout: this.timeoutMs }
+            );
+        }
+        return this.model;
+    }
+
+    async generateText(prompt) {
+        const result = await this.getModel().generateContent(prompt);
+        const response = await result.response;
+        return response.text();
+    }
+
+    // This SDK version has no native JSON mode, so the prompt asks for JSON
+    async generateJSON(prompt) {
+        const text = await this.generateText(`${prompt}\n\nRespond with a single JSON object and nothing else.`);
+        return parseJSON(text);
+    }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+const CANNED_TEXT = [
+    'When the firewall blocks you but the vibes get through',
+    'Neon lights, zero sleep, infinite bugs',
+    'Jacked into the mainframe, still buffering',
+    'Glitch in the matrix, feature in the changelog',
+    'Low battery, high voltage energy'
+];
+
+// Deterministic offline provider for local development and tests. The same
+// prompt always produces the same output and nothing leaves the process.
+class MockProvider {
+    constructor({ model } = {}) {
+        this.name = 'mock';
+        this.modelName = model || 'mock';
+    }
+
+    hash(prompt) {
+        return crypto.createHash('sha256').update(prompt).digest();
+    }
+
+    async generateText(prompt) {
+        return CANNED_TEXT[this.hash(prompt)[0] % CANNED_TEXT.length];
+    }
+
+    // Fill the requested schema: numbers are 0, booleans false, strings canned
+    async generateJSON(prompt, { schema } = {}) {
+        const properties = schema?.properties || {};
+        const text = await this.generateText(prompt);
+
+        return Object.fromEntries(Object.entries(properties).map(([key, property]) => {
+            switch (property.type) {
+                case 'number':
+                case 'integer':
+                    return [key, 0];
+                case 'boolean':
+                    return [key, false];
+                case 'array':
+                    return [key, []];
+                default:
+                    return [key, text];
+            }
+        }));
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,40 @@
+const MockProvider = require('./mock');
+
+describe('MockProvider', () => {
+    const provider = new MockProvider();
+
+    it('returns the same text for the same prompt', async () => {
+        const first = await provider.generateText('caption for neon, hack');
+        const second = await new MockProvider().generateText('caption for neon, hack');
+        expect(first).toBe(second);
+        expect(typeof first).toBe('string');
+        expect(first.length).toBeGreaterThan(0);
+    });
+
+    it('fills a JSON schema deterministically', async () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                score: { type: 'number' },
+                flagged: { type: 'boolean' },
+                labels: { type: 'array' },
+                summary: { type: 'string' }
+            }
+        };
+
+        const result = await provider.generateJSON('classify this', { schema });
+        expect(result).toEqual({
+            score: 0,
+            flagged: false,
+            labels: [],
+            summary: await provider.generateText('classify this')
+        });
+        expect(await provider.generateJSON('classify this', { schema })).toEqual(result);
+    });
+
+    it('uses the configured model name', () => {
+        expect(provider.name).toBe('mock');
+        expect(provider.modelName).toBe('mock');
+        expect(new MockProvider({ model: 'fixture' }).modelName).toBe('fixture');
+    });
+});
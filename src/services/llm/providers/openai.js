@@ -0,0 +1,55 @@
+const { parseJSON } = require('../json');
+
+// Any server implementing the OpenAI chat completions API (OpenAI, Azure
+// OpenAI, OpenRouter, vLLM, Ollama and so on)
+class OpenAICompatibleProvider {
+    constructor({ baseUrl, apiKey, model }) {
+        this.name = 'openai';
+        this.baseUrl = (baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.modelName = model;
+    }
+
+    async complete(prompt, extraBody = {}, signal = undefined) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: this.modelName,
+                messages: [{ role: 'user', content: prompt }],
+                ...extraBody
+            }),
+            signal
+        });
+
+        if (!response.ok) {
+            const body = await response.text();
+            const error = new Error(`OpenAI-compatible API returned ${response.status}: ${body.substring(0, 200)}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const data = await response.json();
+        const content = data.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error('OpenAI-compatible API returned no message content');
+        }
+        return content;
+    }
+
+    async generateText(prompt, { signal } = {}) {
+        return this.complete(prompt, {}, signal);
+    }
+
+    async generateJSON(prompt, { signal } = {}) {
+        const text = await this.complete(prompt, { response_format: { type: 'json_object' } }, signal);
+        return parseJSON(text);
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
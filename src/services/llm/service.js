@@ -0,0 +1,75 @@
+const GeminiProvider = require('./providers/gemini');
+const OpenAICompatibleProvider = require('./providers/openai');
+const MockProvider = require('./providers/mock');
+const { logger } = require('../../utils/logger');
+
+const DEFAULT_MODELS = {
+    gemini: 'gemini-2.0-flash',
+    openai: 'gpt-4o-mini',
+    mock: 'mock'
+};
+
+// Picks the provider and model for each use case (caption, vibe, moderation).
+// LLM_<USE_CASE>_PROVIDER / LLM_<USE_CASE>_MODEL override the LLM_PROVIDER /
+// LLM_MODEL defaults, so e.g. moderation can run on a different model.
+class LLMService {
+    constructor() {
+        this.providers = new Map(); // "provider:model" -> provider instance
+        this.overrides = new Map(); // useCase -> provider instance
+    }
+
+    getConfig(useCase) {
+        const prefix = `LLM_${useCase.toUpperCase()}_`;
+        const useCaseProvider = process.env[`${prefix}PROVIDER`];
+        const provider = useCaseProvider || process.env.LLM_PROVIDER || 'gemini';
+
+        // The global model only applies when the use case keeps the global provider
+        const model = process.env[`${prefix}MODEL`]
+            || (!useCaseProvider && process.env.LLM_MODEL)
+            || DEFAULT_MODELS[provider];
+
+        return { provider, model };
+    }
+
+    createProvider(provider, model) {
+        switch (provider) {
+            case 'gemini':
+                return new GeminiProvider({
+                    apiKey: process.env.GEMINI_API_KEY,
+                    model,
+                    timeoutMs: Number(process.env.LLM_TIMEOUT_MS || 8000)
+                });
+            case 'openai':
+                return new OpenAICompatibleProvider({
+                    baseUrl: process.env.OPENAI_BASE_URL,
+                    apiKey: process.env.OPENAI_API_KEY,
+                    model
+                });
+            case 'mock':
+                return new MockProvider({ model });
+            default:
+                throw new Error(`Unknown LLM provider: ${provider}`);
+        }
+    }
+
+    getProvider(useCase) {
+        if (this.overrides.has(useCase)) {
+            return this.overrides.get(useCase);
+        }
+
+        const { provider, model } = this.getConfig(useCase);
+        const key = `${provider}:${model}`;
+        if (!this.providers.has(key)) {
+            this.providers.set(key, this.createProvider(provider, model));
+            logger.info(`LLM provider ${key} ready for ${useCase}`);
+        }
+        return this.providers.get(key);
+    }
+
+    // Pin a provider instance for a use case, e.g. a MockProvider in tests
+    setProvider(useCase, provider) {
+        this.overrides.set(useCase, provider);
+    }
+}
+
+module.exports = new LLMService();
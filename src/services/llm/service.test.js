@@ -0,0 +1,64 @@
+jest.mock('../../utils/logger', () => ({
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const llmService = require('./service');
+const MockProvider = require('./providers/mock');
+
+describe('LLMService.getConfig', () => {
+    const originalEnv = process.env;
+
+    beforeEach(() => {
+        process.env = { ...originalEnv };
+        for (const key of Object.keys(process.env)) {
+            if (key.startsWith('LLM_')) delete process.env[key];
+        }
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    it('defaults to Gemini', () => {
+        expect(llmService.getConfig('caption')).toEqual({ provider: 'gemini', model: 'gemini-2.0-flash' });
+    });
+
+    it('applies the global provider and model to every use case', () => {
+        process.env.LLM_PROVIDER = 'openai';
+        process.env.LLM_MODEL = 'gpt-4.1-mini';
+        expect(llmService.getConfig('caption')).toEqual({ provider: 'openai', model: 'gpt-4.1-mini' });
+        expect(llmService.getConfig('moderation')).toEqual({ provider: 'openai', model: 'gpt-4.1-mini' });
+    });
+
+    it('lets a use case override the provider and model', () => {
+        process.env.LLM_PROVIDER = 'gemini';
+        process.env.LLM_MODERATION_PROVIDER = 'mock';
+        process.env.LLM_VIBE_MODEL = 'gemini-1.5-pro';
+
+        expect(llmService.getConfig('moderation')).toEqual({ provider: 'mock', model: 'mock' });
+        expect(llmService.getConfig('vibe')).toEqual({ provider: 'gemini', model: 'gemini-1.5-pro' });
+        expect(llmService.getConfig('caption')).toEqual({ provider: 'gemini', model: 'gemini-2.0-flash' });
+    });
+
+    it('ignores the global model when the use case switches provider', () => {
+        process.env.LLM_MODEL = 'gemini-1.5-pro';
+        process.env.LLM_CAPTION_PROVIDER = 'openai';
+        expect(llmService.getConfig('caption')).toEqual({ provider: 'openai', model: 'gpt-4o-mini' });
+    });
+});
+
+describe('LLMService.getProvider', () => {
+    it('reuses one instance per provider and model', () => {
+        process.env.LLM_PROVIDER = 'mock';
+        const caption = llmService.getProvider('caption');
+        expect(caption).toBeInstanceOf(MockProvider);
+        expect(llmService.getProvider('vibe')).toBe(caption);
+        delete process.env.LLM_PROVIDER;
+    });
+
+    it('prefers a pinned provider', () => {
+        const pinned = new MockProvider({ model: 'pinned' });
+        llmService.setProvider('summary', pinned);
+        expect(llmService.getProvider('summary')).toBe(pinned);
+    });
+});
@@ -0,0 +1,91 @@
+const { MemoryCounterStore } = require('../utils/counterStore');
+const { logger } = require('../utils/logger');
+
+// Tracks failed logins per account and per IP. After a few free attempts each
+// failure locks the key for an exponentially growing delay, and reaching the
+// limit locks it for the full lockout period.
+class LoginGuardService {
+    constructor() {
+        this.store = new MemoryCounterStore();
+        this.windowMs = Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15) * 60 * 1000;
+        this.lockoutMs = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15) * 60 * 1000;
+        this.maxAccountAttempts = Number(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT || 5);
+        this.maxIpAttempts = Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP || 20);
+        this.freeAttempts = Number(process.env.LOGIN_FREE_ATTEMPTS || 2);
+        this.baseDelayMs = Number(process.env.LOGIN_BASE_DELAY_MS || 1000);
+    }
+
+    // Swap in a shared store (e.g. RedisCounterStore) when running several instances
+    setStore(store) {
+        this.store = store;
+    }
+
+    accountKey(email) {
+        return `login:account:${email.trim().toLowerCase()}`;
+    }
+
+    ipKey(ip) {
+        return `login:ip:${ip}`;
+    }
+
+    // Throws with retryAfter (seconds) while either the account or the IP is locked
+    async assertAllowed(email, ip) {
+        let lockMs = 0;
+        try {
+            const [accountLockMs, ipLockMs] = await Promise.all([
+                this.store.ttl(`${this.accountKey(email)}:lock`),
+                ip ? this.store.ttl(`${this.ipKey(ip)}:lock`) : 0
+            ]);
+            lockMs = Math.max(accountLockMs, ipLockMs);
+        } catch (error) {
+            // Fail open so an unavailable store does not block every login
+            logger.error('Error checking login lockout:', error);
+        }
+
+        if (lockMs > 0) {
+            const error = new Error('Too many login attempts, please try again later');
+            error.retryAfter = Math.ceil(lockMs / 1000);
+            throw error;
+        }
+    }
+
+    async recordFailure(email, ip) {
+        try {
+            await this.registerFailure(this.accountKey(email), this.maxAccountAttempts);
+            if (ip) {
+                await this.registerFailure(this.ipKey(ip), this.maxIpAttempts);
+            }
+        } catch (error) {
+            // A broken store must not turn a wrong password into a 500
+            logger.error('Error recording failed login:', error);
+        }
+    }
+
+    async registerFailure(key, maxAttempts) {
+        const { count } = await this.store.increment(`${key}:failures`, this.windowMs);
+
+        if (count >= maxAttempts) {
+            await this.store.set(`${key}:lock`, 1, this.lockoutMs);
+            logger.warn(`Login locked for ${key} after ${count} failed attempts`);
+        } else if (count > this.freeAttempts) {
+            const delayMs = Math.min(this.baseDelayMs * 2 ** (count - this.freeAttempts - 1), this.lockoutMs);
+            await this.store.set(`${key}:lock`, 1, delayMs);
+        }
+    }
+
+    // A successful login clears the account's history. IP counters are kept so
+    // one valid account cannot be used to reset attempts against others.
+    async recordSuccess(email) {
+        try {
+            const key = this.accountKey(email);
+            await Promise.all([
+                this.store.delete(`${key}:failures`),
+                this.store.delete(`${key}:lock`)
+            ]);
+        } catch (error) {
+            logger.error('Error clearing failed logins:', error);
+        }
+    }
+}
+
+module.exports = new LoginGuardService();
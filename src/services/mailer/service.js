@@ -0,0 +1,86 @@
+const { SmtpTransport, FileTransport, ConsoleTransport } = require('./transports');
+const { logger } = require('../../utils/logger');
+
+class MailerService {
+    constructor() {
+        this.from = process.env.MAIL_FROM || 'Cyberplace <no-reply@cyberplace.local>';
+        this.appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+        this.transportName = process.env.MAIL_TRANSPORT || 'console';
+        this.transport = null;
+    }
+
+    // Created on first use; startServer calls this so bad config fails at boot
+    getTransport() {
+        if (!this.transport) {
+            this.transport = this.createTransport(this.transportName);
+        }
+        return this.transport;
+    }
+
+    createTransport(name) {
+        switch (name) {
+            case 'smtp':
+                return new SmtpTransport({
+                    host: process.env.SMTP_HOST,
+                    port: Number(process.env.SMTP_PORT || 587),
+                    secure: process.env.SMTP_SECURE === 'true',
+                    user: process.env.SMTP_USER,
+                    pass: process.env.SMTP_PASS
+                });
+            case 'file':
+                return new FileTransport({ directory: process.env.MAIL_OUTBOX_DIR || 'mail-outbox' });
+            case 'console':
+                // Mail bodies carry live verification and reset links
+                if (process.env.NODE_ENV === 'production') {
+                    throw new Error('The console mail transport is disabled in production; set MAIL_TRANSPORT to smtp or file');
+                }
+                return new ConsoleTransport();
+            default:
+                throw new Error(`Unknown mail transport: ${name}`);
+        }
+    }
+
+    // Swap the transport at runtime, e.g. to capture mail in tests
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    async send({ to, subject, text, html }) {
+        try {
+            const result = await this.getTransport().send({ from: this.from, to, subject, text, html });
+            logger.info(`Mail "${subject}" sent to ${to} (${result.messageId})`);
+            return result;
+        } catch (error) {
+            logger.error(`Error sending mail to ${to}:`, error);
+            throw error;
+        }
+    }
+
+    async sendVerificationEmail(user, token, ttlHours) {
+        const link = `${this.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+        return this.send({
+            to: user.email,
+            subject: 'Verify your email address',
+            text: `Hi ${user.name},\n\nConfirm your email address by opening the link below. It expires in ${ttlHours} hours.\n\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+            html: `<p>Hi ${escapeHtml(user.name)},</p><p>Confirm your email address by opening the link below. It expires in ${ttlHours} hours.</p><p><a href="${link}">Verify email</a></p><p>If you did not create an account, you can ignore this email.</p>`
+        });
+    }
+
+    async sendPasswordResetEmail(user, token, ttlMinutes) {
+        const link = `${this.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+        return this.send({
+            to: user.email,
+            subject: 'Reset your password',
+            text: `Hi ${user.name},\n\nReset your password by opening the link below. It expires in ${ttlMinutes} minutes and can only be used once.\n\n${link}\n\nIf you did not ask for a reset, you can ignore this email.`,
+            html: `<p>Hi ${escapeHtml(user.name)},</p><p>Reset your password by opening the link below. It expires in ${ttlMinutes} minutes and can only be used once.</p><p><a href="${link}">Reset password</a></p><p>If you did not ask for a reset, you can ignore this email.</p>`
+        });
+    }
+}
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+module.exports = new MailerService();
@@ -0,0 +1,55 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('../../utils/logger');
+
+// Every transport implements send({ from, to, subject, text, html }) and
+// resolves with { messageId }.
+
+class SmtpTransport {
+    constructor(options = {}) {
+        this.transporter = nodemailer.createTransport({
+            host: options.host,
+            port: options.port,
+            secure: options.secure,
+            auth: options.user ? { user: options.user, pass: options.pass } : undefined
+        });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        return { messageId: info.messageId };
+    }
+}
+
+// Writes each message as a JSON file, handy for local development and tests
+class FileTransport {
+    constructor(options = {}) {
+        this.directory = options.directory;
+    }
+
+    async send(message) {
+        const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(
+            path.join(this.directory, `${messageId}.json`),
+            JSON.stringify({ ...message, messageId, sentAt: new Date().toISOString() }, null, 2)
+        );
+        return { messageId };
+    }
+}
+
+// Development only. Logs the envelope but never the body, which holds link tokens.
+class ConsoleTransport {
+    async send(message) {
+        const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+        logger.info(`Mail to ${message.to}: ${message.subject} (body not logged; use MAIL_TRANSPORT=file to read it)`);
+        return { messageId };
+    }
+}
+
+module.exports = {
+    SmtpTransport,
+    FileTransport,
+    ConsoleTransport
+};
@@ -1,43 +1,133 @@
 // src/services/memeService.js
-const geminiService = require('./gemini/service');
+const enrichmentService = require('./enrichment');
 const messageService = require('../ws/ws');
+const auctionService = require('./auctions');
+const notificationService = require('./notifications');
+const tagService = require('./tags');
+const followService = require('./follows');
+const contentSafetyService = require('./contentSafety');
+const moderationService = require('./moderation');
 const { DatabaseService } = require('../database/db');
 const { logger } = require('../utils/logger');
+const { applyKeyset, buildPage, encodeCursor } = require('../utils/pagination');
+
+// Upvote counts that trigger a notification to the meme's creator
+const VOTE_MILESTONES = [10, 25, 50, 100, 250, 500, 1000];
+
+// Ranked leaderboard modes, backed by score columns maintained in the database.
+// windowHours limits the candidates to recently created memes.
+const RANKING_MODES = {
+    hot: { column: 'hot_score' },
+    rising: { column: 'rising_score', windowHours: 24 },
+    controversial: { column: 'controversy_score' },
+    top_week: { column: 'engagement_score', windowHours: 24 * 7 }
+};
+
+// Home feed mix: roughly one ranked global meme for every three from followed creators
+const FEED_GLOBAL_SHARE = 0.25;
+const FEED_GLOBAL_INTERVAL = 4;
+
+// Columns and joins returned for memes in API responses
+const MEME_SELECT = `
+          *,
+          bid_summaries (
+            bid_amount,
+            username,
+            transaction_id
+          ),
+          meme_tags (
+            tags ( name )
+          )
+        `;
 
 class MemeService extends DatabaseService {
     constructor() {
         super();
     }
 
+    // Flatten the joined tags and bid summary for API responses
+    formatMeme(meme) {
+        const { meme_tags, search_vector, ...rest } = meme;
+        return {
+            ...rest,
+            tags: meme_tags ? meme_tags.map(memeTag => memeTag.tags.name) : (meme.meta?.tags || []),
+            top_bidder: meme.bid_summaries?.[0] || null
+        };
+    }
+
+    // Ownership follows auction settlement; the creator owns unsold memes
+    isMemeOwner(meme, username) {
+        return (meme.owner_username || meme.username) === username;
+    }
+
     async createMeme(memeData) {
         try {
-            const { text, image_url, tags, username } = memeData;
+            const { text, image_url, username, auction } = memeData;
+            const tags = tagService.normalizeTags(memeData.tags);
+
+            // Screen the content before anything is published
+            const screening = await contentSafetyService.screen({ text, tags });
+            if (screening.decision === 'reject') {
+                await moderationService.recordAction('system', 'reject_meme', 'user', username, {
+                    flagged: screening.flagged,
+                    scores: screening.scores,
+                    source: screening.source
+                });
 
-            // Generate caption and vibe description using Gemini
-            const [caption, vibe_description] = await Promise.all([
-                geminiService.generateMemeCaption(tags),
-                geminiService.generateMemeVibeDescription(tags)
-            ]);
+                const error = new Error(`Content rejected by safety screening: ${screening.flagged.join(', ')}`);
+                error.flagged = screening.flagged;
+                throw error;
+            }
+            const held = screening.decision === 'hold';
 
             const memePayload = {
                 text,
                 image_url,
-                meta: JSON.stringify({ tags }),
-                caption: caption.substring(0, 500), // Limit caption length
-                vibe_description: vibe_description.substring(0, 1000), // Limit description length
-                upvote_count: 0,
-                downvote_count: 0,
-                total_bid_amount: 0,
+                meta: { tags },
+                // Caption and vibe description are generated by a background job
+                caption: null,
+                vibe_description: null,
+                enrichment_status: 'pending',
                 username,
-                is_active: true,
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
+                owner_username: username,
+                // Held memes stay hidden until a moderator dismisses the screening report
+                is_active: !held,
+                moderation_status: held ? 'hidden' : 'visible'
             };
 
-            const newMeme = await this.create('memes', memePayload);
+            if (auction) {
+                Object.assign(memePayload, {
+                    auction_status: 'open',
+                    auction_starts_at: new Date(auction.starts_at || Date.now()).toISOString(),
+                    auction_ends_at: new Date(auction.ends_at).toISOString(),
+                    reserve_price: auction.reserve_price
+                });
+            }
 
-            // Broadcast new meme to all users
-            messageService.broadcastNewMeme(newMeme);
+            // Insert the meme, its tags, its enrichment job and, for held memes,
+            // the screening report in one transaction
+            const newMeme = this.formatMeme(await this.executeQuery(
+                this.client().rpc('create_meme', {
+                    p_meme: memePayload,
+                    p_tags: tags,
+                    p_enrich_max_attempts: enrichmentService.maxAttempts,
+                    p_hold: held ? moderationService.describeHold(screening) : null
+                })
+            ));
+
+            if (held) {
+                logger.warn(`Meme ${newMeme.id} by ${username} held for review (${screening.flagged.join(', ')})`);
+                return newMeme;
+            }
+
+            // Push the new meme to the creator's online followers
+            try {
+                const followers = await followService.getFollowerUsernames(username);
+                messageService.sendNewMemeToFollowers(followers, newMeme);
+            } catch (error) {
+                // The meme is already saved; followers see it in their feed instead
+                logger.error(`Error pushing meme ${newMeme.id} to followers:`, error);
+            }
 
             logger.info(`New meme created by ${username} with ID: ${newMeme.id}`);
             return newMeme;
@@ -48,210 +138,327 @@ class MemeService extends DatabaseService {
     }
 
     async getMemesForUser(username, options = {}) {
+        try {
+            const { cursor = null, limit = 20 } = options;
+            const keyset = { column: 'created_at', ascending: false, limit };
+
+            // Get memes with bid summary join, newest first
+            const { query, cursor: decodedCursor } = applyKeyset(
+                this.client()
+                    .from('memes')
+                    .select(MEME_SELECT)
+                    .eq('username', username)
+                    .eq('is_active', true),
+                { ...keyset, cursor }
+            );
+
+            const { data: memes, error } = await query;
+            if (error) throw error;
+
+            const { items, pagination } = buildPage(memes, { ...keyset, cursor: decodedCursor });
+            return {
+                memes: items.map(meme => this.formatMeme(meme)),
+                pagination
+            };
+        } catch (error) {
+            logger.error('Error fetching user memes:', error);
+            throw error;
+        }
+    }
+
+    async getMemeById(memeId, viewer = null) {
         try {
             const client = this.client();
 
-            // Get memes with bid summary join
-            const { data: memes, error } = await client
+            const { data: meme, error } = await client
                 .from('memes')
-                .select(`
-          *,
-          bid_summaries (
-            bid_amount,
-            username,
-            transaction_id
-          )
-        `)
-                .eq('username', username)
+                .select(MEME_SELECT)
+                .eq('id', memeId)
                 .eq('is_active', true)
-                .order('created_at', { ascending: false });
+                .maybeSingle();
 
             if (error) throw error;
+            if (!meme) {
+                throw new Error(`Meme with ID ${memeId} not found`);
+            }
+
+            let my_vote = null;
+            if (viewer) {
+                const { data: vote, error: voteError } = await client
+                    .from('votes')
+                    .select('voted')
+                    .eq('meme_id', memeId)
+                    .eq('username', viewer)
+                    .eq('is_active', true)
+                    .maybeSingle();
+
+                if (voteError) throw voteError;
+                my_vote = vote ? vote.voted : null;
+            }
 
-            return memes.map(meme => ({
-                ...meme,
-                tags: typeof meme.meta === 'string' ? JSON.parse(meme.meta)?.tags : meme.meta,
-                top_bidder: meme.bid_summaries?.[0] || null
-            }));
+            return { ...this.formatMeme(meme), my_vote };
         } catch (error) {
-            logger.error('Error fetching user memes:', error);
+            logger.error('Error fetching meme:', error);
             throw error;
         }
     }
 
-    async bidOnMeme(bidData) {
+    async searchMemes(options = {}) {
         try {
-            const { meme_id, username, bid_amount } = bidData;
-            const transaction_id = `bid_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            const { q, tags = [], match = 'any', page = 1, pageSize = 20 } = options;
+            const offset = (page - 1) * pageSize;
+            const normalizedTags = tagService.normalizeTags(tags);
 
-            const client = this.client();
+            const { data: memes, count, error } = await this.client()
+                .rpc('search_memes', {
+                    p_query: q || null,
+                    p_tags: normalizedTags.length ? normalizedTags : null,
+                    p_match_all: match === 'all'
+                }, { count: 'exact' })
+                .select(MEME_SELECT)
+                .range(offset, offset + pageSize - 1);
 
-            // Start transaction
-            const { data: meme, error: memeError } = await client
-                .from('memes')
-                .select('total_bid_amount, username')
-                .eq('id', meme_id)
-                .single();
+            if (error) throw error;
 
-            if (memeError) throw memeError;
+            return {
+                memes: memes.map(meme => this.formatMeme(meme)),
+                pagination: {
+                    page,
+                    pageSize,
+                    total: count,
+                    totalPages: Math.ceil(count / pageSize)
+                }
+            };
+        } catch (error) {
+            logger.error('Error searching memes:', error);
+            throw error;
+        }
+    }
 
-            // Create bid entry
-            await this.create('bids', {
-                transaction_id,
-                meme_id,
-                username,
-                bid_amount,
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            });
+    async findActiveMeme(memeId) {
+        const memes = await this.findMany('memes', { id: memeId, is_active: true });
+        if (!memes.length) {
+            throw new Error(`Meme with ID ${memeId} not found`);
+        }
+        return memes[0];
+    }
 
-            // Update meme total bid amount
-            const newTotalBidAmount = (meme.total_bid_amount || 0) + bid_amount;
-            await this.update('memes', meme_id, {
-                total_bid_amount: newTotalBidAmount,
-                updated_at: new Date().toISOString()
-            });
+    async updateMeme(memeId, username, changes) {
+        try {
+            const meme = await this.findActiveMeme(memeId);
+            if (!this.isMemeOwner(meme, username)) {
+                throw new Error('Not authorized to edit this meme');
+            }
+
+            // Edits go through the same screening as new memes
+            const text = changes.text !== undefined ? changes.text : meme.text;
+            const tags = changes.tags !== undefined ? tagService.normalizeTags(changes.tags) : (meme.meta?.tags || []);
+            const screening = await contentSafetyService.screen({ text, tags });
+            if (screening.decision === 'reject') {
+                await moderationService.recordAction('system', 'reject_meme_edit', 'meme', memeId, {
+                    flagged: screening.flagged,
+                    scores: screening.scores,
+                    source: screening.source
+                });
 
-            // Update or create bid summary (highest bid)
-            const { data: existingBidSummary } = await client
-                .from('bid_summaries')
-                .select('bid_amount')
-                .eq('meme_id', meme_id)
-                .single();
-
-            if (!existingBidSummary || bid_amount > existingBidSummary.bid_amount) {
-                await client
-                    .from('bid_summaries')
-                    .upsert({
-                        meme_id,
-                        transaction_id,
-                        bid_amount,
-                        username
-                    });
+                const error = new Error(`Content rejected by safety screening: ${screening.flagged.join(', ')}`);
+                error.flagged = screening.flagged;
+                throw error;
             }
+            const held = screening.decision === 'hold';
 
-            // Update meme's top bidder
-            const { data: updatedMeme } = await client
-                .from('memes')
-                .select('upvote_count, downvote_count, text, total_bid_amount')
-                .eq('id', meme_id)
-                .single();
-            if (!updatedMeme) {
-                throw new Error(`Meme with ID ${meme_id} not found`);
+            const updates = { updated_at: new Date().toISOString() };
+            if (changes.text !== undefined) {
+                updates.text = changes.text;
+            }
+            if (changes.tags !== undefined) {
+                await tagService.setMemeTags(memeId, tags);
+                updates.meta = { tags };
+            }
+            if (held) {
+                Object.assign(updates, { is_active: false, moderation_status: 'hidden' });
             }
 
+            const saved = await this.update('memes', memeId, updates);
 
-            // Broadcast bid update
-            messageService.broadcastBidUpdate(username, bid_amount, meme_id, updatedMeme.total_bid_amount, updatedMeme.text);
+            if (held) {
+                await moderationService.holdForReview(memeId, screening);
+                messageService.broadcastMemeDeleted(memeId, 'system');
+                logger.info(`Edit to meme ${memeId} by ${username} is pending review`);
+                return this.formatMeme(saved);
+            }
 
-            // Update leaderboard
+            const updatedMeme = await this.getMemeById(memeId);
+
+            messageService.broadcastMemeUpdated(updatedMeme);
+
+            logger.info(`Meme ${memeId} updated by ${username}`);
+            return updatedMeme;
+        } catch (error) {
+            logger.error('Error updating meme:', error);
+            throw error;
+        }
+    }
+
+    async deleteMeme(memeId, user) {
+        try {
+            const meme = await this.findActiveMeme(memeId);
+            // Moderators take memes down through the audited /admin deactivate route
+            if (!this.isMemeOwner(meme, user.username) && user.role !== 'admin') {
+                throw new Error('Not authorized to delete this meme');
+            }
+
+            await this.update('memes', memeId, {
+                is_active: false,
+                updated_at: new Date().toISOString()
+            });
+
+            if (!this.isMemeOwner(meme, user.username)) {
+                await moderationService.recordAction(user.username, 'delete_meme', 'meme', memeId, {
+                    owner: meme.owner_username || meme.username,
+                    role: user.role
+                });
+            }
+
+            messageService.broadcastMemeDeleted(memeId, user.username);
             messageService.updateLeaderboard();
 
-            logger.info(`Bid placed: ${username} bid ${bid_amount} on meme ${meme_id}`);
-            return { transaction_id, success: true };
+            logger.info(`Meme ${memeId} deleted by ${user.username}`);
+            return { id: memeId, deleted: true };
         } catch (error) {
-            logger.error('Error placing bid:', error);
+            logger.error('Error deleting meme:', error);
             throw error;
         }
     }
 
-    async voteOnMeme(voteData) {
+    async bidOnMeme(bidData) {
         try {
-            const { meme_id, username, voted } = voteData; // voted: 1 for up, 0 for down
+            const { meme_id, username, bid_amount } = bidData;
+            const transaction_id = `bid_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-            const client = this.client();
+            // Insert bid, bump total and update the top bid in a single transaction
+            const result = await this.executeQuery(
+                this.client().rpc('place_bid', {
+                    p_meme_id: meme_id,
+                    p_username: username,
+                    p_bid_amount: bid_amount,
+                    p_transaction_id: transaction_id,
+                    p_snipe_window_seconds: auctionService.snipeWindowSeconds,
+                    p_snipe_extension_seconds: auctionService.snipeExtensionSeconds
+                })
+            );
 
-            // Check if user already voted
-            const { data: existingVote } = await client
-                .from('votes')
-                .select('*')
-                .eq('meme_id', meme_id)
-                .eq('username', username)
-                .eq('is_active', true)
-                .single();
+            // Broadcast bid update
+            messageService.broadcastBidUpdate(username, bid_amount, meme_id, result.total_bid_amount, result.meme_text);
 
-            let voteType = voted === 1 ? 'up' : 'down';
-            let countField = voted === 1 ? 'upvote_count' : 'downvote_count';
+            if (result.auction_extended) {
+                messageService.broadcastAuctionExtended(meme_id, result.auction_ends_at, result.meme_text);
+            }
 
-            if (existingVote) {
-                // Update existing vote
-                await this.update('votes', existingVote.id, {
-                    voted,
-                    updated_at: new Date().toISOString()
+            // Let the displaced top bidder know they were outbid
+            if (result.is_top_bid && result.previous_top_bidder && result.previous_top_bidder !== username) {
+                notificationService.notify(result.previous_top_bidder, 'outbid', {
+                    message: `You were outbid on ${result.meme_text}: ${username} bid ${bid_amount} credits`,
+                    memeId: meme_id,
+                    memeName: result.meme_text,
+                    outbidBy: username,
+                    newAmount: bid_amount,
+                    previousAmount: Number(result.previous_top_bid_amount),
+                    rebid: {
+                        memeId: meme_id,
+                        minimumAmount: Math.round((bid_amount + 0.01) * 100) / 100,
+                        endpoint: '/api/memes/bid'
+                    }
                 });
+            }
 
-                // Adjust counts based on previous vote
-                const { data: meme } = await client
-                    .from('memes')
-                    .select('upvote_count, downvote_count')
-                    .eq('id', meme_id)
-                    .single();
-
-                let upvoteChange = 0, downvoteChange = 0;
-
-                if (existingVote.voted !== voted) {
-                    if (voted === 1) {
-                        upvoteChange = 1;
-                        downvoteChange = -1;
-                    } else {
-                        upvoteChange = -1;
-                        downvoteChange = 1;
-                    }
-                }
+            // Update leaderboard
+            messageService.updateLeaderboard();
 
-                await this.update('memes', meme_id, {
-                    upvote_count: Math.max(0, meme.upvote_count + upvoteChange),
-                    downvote_count: Math.max(0, meme.downvote_count + downvoteChange),
-                    updated_at: new Date().toISOString()
-                });
-            } else {
-                // Create new vote
-                await this.create('votes', {
-                    meme_id,
-                    username,
-                    voted,
-                    is_active: true
-                });
+            logger.info(`Bid placed: ${username} bid ${bid_amount} on meme ${meme_id}`);
+            return {
+                transaction_id,
+                success: true,
+                meme_id,
+                bid_amount,
+                total_bid_amount: Number(result.total_bid_amount),
+                is_top_bid: result.is_top_bid,
+                balance: Number(result.balance),
+                top_bidder: {
+                    username: result.top_bidder,
+                    bid_amount: Number(result.top_bid_amount)
+                },
+                auction_ends_at: result.auction_ends_at,
+                auction_extended: result.auction_extended
+            };
+        } catch (error) {
+            logger.error('Error placing bid:', error);
+            throw error;
+        }
+    }
 
-                // Increment appropriate count
-                const { data: meme } = await client
-                    .from('memes')
-                    .select(countField)
-                    .eq('id', meme_id)
-                    .single();
+    async voteOnMeme(voteData) {
+        try {
+            const { meme_id, username, voted } = voteData; // voted: 1 for up, 0 for down, null to retract
+
+            // Apply the transition and adjust both counters in one transaction
+            const result = await this.executeQuery(
+                this.client().rpc('cast_vote', {
+                    p_meme_id: meme_id,
+                    p_username: username,
+                    p_voted: voted
+                })
+            );
 
-                await this.update('memes', meme_id, {
-                    [countField]: (meme[countField] || 0) + 1,
-                    updated_at: new Date().toISOString()
-                });
+            const response = {
+                success: true,
+                meme_id,
+                changed: result.changed,
+                previous_vote: result.previous_vote,
+                vote: result.vote,
+                upvote_count: result.upvote_count,
+                downvote_count: result.downvote_count
+            };
+
+            // Repeating the current vote is a no-op
+            if (!result.changed) {
+                return response;
             }
 
-            // Get updated counts for broadcasting
-            const { data: updatedMeme } = await client
-                .from('memes')
-                .select('upvote_count, downvote_count, text' )
-                .eq('id', meme_id)
-                .single();
+            const voteType = voted === 1 ? 'up' : voted === 0 ? 'down' : 'retract';
+            const countVote = voted === null ? result.previous_vote : voted;
 
             // Broadcast vote update
             messageService.broadcastVoteUpdate(
                 meme_id,
                 voteType,
                 username,
-                voted === 1 ? updatedMeme.upvote_count : updatedMeme.downvote_count,
-                updatedMeme.text,
-                updatedMeme.upvote_count,
-                updatedMeme.downvote_count
+                countVote === 1 ? result.upvote_count : result.downvote_count,
+                result.meme_text,
+                result.upvote_count,
+                result.downvote_count,
+                result.previous_vote,
+                result.vote
             );
 
             // Update leaderboard
             messageService.updateLeaderboard();
 
+            // Tell the creator when their meme crosses an upvote milestone
+            if (voted === 1 && result.meme_username !== username && VOTE_MILESTONES.includes(result.upvote_count)) {
+                notificationService.notify(result.meme_username, 'vote_milestone', {
+                    message: `Your meme ${result.meme_text} reached ${result.upvote_count} upvotes!`,
+                    memeId: meme_id,
+                    memeName: result.meme_text,
+                    upvoteCount: result.upvote_count
+                });
+            }
+
             // Check if this meme should be highlighted (trending logic)
             await this.checkAndBroadcastTrendingMeme(meme_id);
 
-            logger.info(`Vote placed: ${username} ${voteType}voted meme ${meme_id}`);
-            return { success: true };
+            logger.info(`Vote ${voteType}: ${username} on meme ${meme_id} (${result.previous_vote} -> ${result.vote})`);
+            return response;
         } catch (error) {
             logger.error('Error voting on meme:', error);
             throw error;
@@ -286,71 +493,164 @@ class MemeService extends DatabaseService {
         }
     }
 
+    // Fetch one keyset page of memes, or an empty exhausted page when skipped
+    async fetchMemePage(query, keyset, cursor) {
+        const { query: pageQuery, cursor: decodedCursor } = applyKeyset(query, { ...keyset, cursor });
+        const { data: memes, error } = await pageQuery;
+        if (error) throw error;
+        return buildPage(memes, { ...keyset, cursor: decodedCursor });
+    }
+
+    decodeFeedCursor(cursor) {
+        try {
+            const state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+            if (!state || typeof state !== 'object') throw new Error('Malformed cursor');
+            return state;
+        } catch (error) {
+            throw new Error('Invalid cursor');
+        }
+    }
+
+    // Home feed: newest memes from followed creators interleaved with hot
+    // global memes from everyone else. Each stream keeps its own keyset
+    // cursor inside the opaque feed cursor; a stream that ran out is marked
+    // done. The feed only pages forward.
+    async getFeed(username, options = {}) {
+        try {
+            const { cursor = null, limit = 20 } = options;
+            const state = cursor ? this.decodeFeedCursor(cursor) : { f: null, g: null };
+            const client = this.client();
+
+            const following = await followService.getFollowingUsernames(username);
+            const followedKeyset = { column: 'created_at', ascending: false };
+            const globalKeyset = { column: 'hot_score', ascending: false };
+
+            let followed = { items: [], pagination: { nextCursor: null } };
+            const followedDone = !following.length || state.f === 'done';
+            if (!followedDone) {
+                // Followed memes always get at least one slot, even with limit=1
+                const followedLimit = Math.max(1, limit - Math.ceil(limit * FEED_GLOBAL_SHARE));
+                followed = await this.fetchMemePage(
+                    client.from('memes').select(MEME_SELECT).eq('is_active', true).in('username', following),
+                    { ...followedKeyset, limit: followedLimit },
+                    state.f
+                );
+            }
+
+            // Global memes fill whatever the followed stream did not
+            let global = { items: [], pagination: { nextCursor: null } };
+            const globalDone = state.g === 'done';
+            const globalLimit = limit - followed.items.length;
+            if (!globalDone && globalLimit > 0) {
+                const excluded = [username, ...following].join(',');
+                global = await this.fetchMemePage(
+                    client.from('memes').select(MEME_SELECT).eq('is_active', true).not('username', 'in', `(${excluded})`),
+                    { ...globalKeyset, limit: globalLimit },
+                    state.g
+                );
+            }
+
+            const memes = [];
+            const globalQueue = [...global.items];
+            followed.items.forEach((meme, index) => {
+                memes.push(meme);
+                if ((index + 1) % (FEED_GLOBAL_INTERVAL - 1) === 0 && globalQueue.length) {
+                    memes.push(globalQueue.shift());
+                }
+            });
+            memes.push(...globalQueue);
+
+            const nextState = {
+                f: followedDone ? 'done' : (followed.pagination.nextCursor || 'done'),
+                // A skipped global fetch keeps its position for the next page
+                g: globalDone ? 'done' : (globalLimit > 0 ? (global.pagination.nextCursor || 'done') : state.g)
+            };
+            const exhausted = nextState.f === 'done' && nextState.g === 'done';
+
+            return {
+                memes: memes.map(meme => this.formatMeme(meme)),
+                pagination: {
+                    limit,
+                    nextCursor: exhausted ? null : encodeCursor(nextState),
+                    prevCursor: null
+                }
+            };
+        } catch (error) {
+            logger.error('Error fetching feed:', error);
+            throw error;
+        }
+    }
+
+    // Filters shared by the leaderboard page query and its optional count query
+    applyLeaderboardFilters(query, filters, since) {
+        query = query.eq('is_active', true);
+
+        if (filters.username) {
+            query = query.eq('username', filters.username);
+        }
+        if (filters.minUpvotes) {
+            query = query.gte('upvote_count', filters.minUpvotes);
+        }
+        if (filters.minBidAmount) {
+            query = query.gte('total_bid_amount', filters.minBidAmount);
+        }
+        if (since) {
+            query = query.gte('created_at', since);
+        }
+
+        return query;
+    }
+
     async getLeaderboard(options = {}) {
         try {
             const {
-                page = 1,
+                cursor = null,
                 pageSize = 20,
-                sortBy = 'upvote_count', // upvote_count, downvote_count, total_bid_amount
+                sortBy = 'upvote_count', // upvote_count, downvote_count, total_bid_amount, created_at or a RANKING_MODES key
                 sortOrder = 'desc',
-                filters = {}
+                filters = {},
+                includeTotal = false
             } = options;
 
-            const offset = (page - 1) * pageSize;
             const client = this.client();
 
-            let query = client
-                .from('memes')
-                .select(`
-          *,
-          bid_summaries (
-            bid_amount,
-            username,
-            transaction_id
-          )
-        `)
-                .eq('is_active', true);
+            // Ranked modes sort by their score column within an optional time window
+            const ranking = RANKING_MODES[sortBy];
+            const since = ranking?.windowHours
+                ? new Date(Date.now() - ranking.windowHours * 60 * 60 * 1000).toISOString()
+                : null;
 
-            // Apply filters
-            if (filters.username) {
-                query = query.eq('username', filters.username);
-            }
-            if (filters.minUpvotes) {
-                query = query.gte('upvote_count', filters.minUpvotes);
-            }
-            if (filters.minBidAmount) {
-                query = query.gte('total_bid_amount', filters.minBidAmount);
-            }
-
-            // Apply sorting
-            query = query.order(sortBy, { ascending: sortOrder === 'asc' });
+            const keyset = {
+                column: ranking ? ranking.column : sortBy,
+                ascending: sortOrder === 'asc',
+                limit: pageSize
+            };
 
-            // Apply pagination
-            query = query.range(offset, offset + pageSize - 1);
+            const { query, cursor: decodedCursor } = applyKeyset(
+                this.applyLeaderboardFilters(client.from('memes').select(MEME_SELECT), filters, since),
+                { ...keyset, cursor }
+            );
 
             const { data: memes, error } = await query;
             if (error) throw error;
 
-            // Get total count for pagination
-            const { count, error: countError } = await client
-                .from('memes')
-                .select('*', { count: 'exact', head: true })
-                .eq('is_active', true);
+            const { items, pagination } = buildPage(memes, { ...keyset, cursor: decodedCursor });
+
+            // The exact count is a separate, slower query and only runs on request
+            if (includeTotal) {
+                const { count, error: countError } = await this.applyLeaderboardFilters(
+                    client.from('memes').select('*', { count: 'exact', head: true }),
+                    filters,
+                    since
+                );
 
-            if (countError) throw countError;
+                if (countError) throw countError;
+                pagination.total = count;
+            }
 
             return {
-                memes: memes.map(meme => ({
-                    ...meme,
-                    tags: typeof meme.meta === 'string' ? JSON.parse(meme.meta)?.tags : meme.meta,
-                    top_bidder: meme.bid_summaries?.[0] || null
-                })),
-                pagination: {
-                    page,
-                    pageSize,
-                    total: count,
-                    totalPages: Math.ceil(count / pageSize)
-                }
+                memes: items.map(meme => this.formatMeme(meme)),
+                pagination
             };
         } catch (error) {
             logger.error('Error fetching leaderboard:', error);
@@ -0,0 +1,133 @@
+jest.mock('../utils/logger', () => ({
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+process.env.LLM_PROVIDER = 'mock';
+
+const memeService = require('./memes');
+const enrichmentService = require('./enrichment');
+const followService = require('./follows');
+const moderationService = require('./moderation');
+const messageService = require('../ws/ws');
+
+describe('MemeService.createMeme with the mock provider', () => {
+    let rpc;
+
+    beforeEach(() => {
+        // create_meme echoes the payload back as the inserted row
+        rpc = jest.fn((name, params) => Promise.resolve({
+            data: { id: 42, ...params.p_meme, created_at: '2026-01-01T00:00:00.000Z' },
+            error: null
+        }));
+        jest.spyOn(memeService, 'client').mockReturnValue({ rpc });
+        jest.spyOn(followService, 'getFollowerUsernames').mockResolvedValue(['fan']);
+        jest.spyOn(messageService, 'sendNewMemeToFollowers').mockResolvedValue(1);
+        jest.spyOn(moderationService, 'holdForReview');
+        jest.spyOn(moderationService, 'recordAction').mockResolvedValue({ id: 8 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('publishes the meme with its caption pending and queues enrichment', async () => {
+        const meme = await memeService.createMeme({
+            text: 'When the wifi finally connects',
+            image_url: 'https://example.com/meme.png',
+            tags: ['#WiFi', 'neon', 'wifi'],
+            username: 'alice'
+        });
+
+        expect(rpc).toHaveBeenCalledWith('create_meme', expect.objectContaining({
+            p_tags: ['wifi', 'neon'],
+            p_enrich_max_attempts: enrichmentService.maxAttempts,
+            p_hold: null
+        }));
+        expect(meme).toMatchObject({
+            id: 42,
+            caption: null,
+            vibe_description: null,
+            enrichment_status: 'pending',
+            is_active: true,
+            moderation_status: 'visible',
+            tags: ['wifi', 'neon']
+        });
+        expect(messageService.sendNewMemeToFollowers).toHaveBeenCalledWith(['fan'], meme);
+        expect(moderationService.holdForReview).not.toHaveBeenCalled();
+    });
+
+    it('files the screening report with held memes without notifying followers', async () => {
+        const meme = await memeService.createMeme({
+            text: 'monday again, kms',
+            image_url: 'https://example.com/meme.png',
+            tags: ['monday'],
+            username: 'alice'
+        });
+
+        expect(meme).toMatchObject({ is_active: false, moderation_status: 'hidden' });
+        expect(rpc).toHaveBeenCalledWith('create_meme', expect.objectContaining({
+            p_hold: {
+                details: 'Flagged by keywords classifier: self_harm',
+                screening: expect.objectContaining({ flagged: ['self_harm'], source: 'keywords' })
+            }
+        }));
+        expect(moderationService.holdForReview).not.toHaveBeenCalled();
+        expect(messageService.sendNewMemeToFollowers).not.toHaveBeenCalled();
+    });
+
+    it('rejects memes that break the policy before saving them', async () => {
+        await expect(memeService.createMeme({
+            text: 'kill yourself',
+            image_url: 'https://example.com/meme.png',
+            tags: ['rude'],
+            username: 'alice'
+        })).rejects.toMatchObject({ flagged: ['harassment'] });
+
+        expect(rpc).not.toHaveBeenCalled();
+        expect(moderationService.recordAction).toHaveBeenCalledWith('system', 'reject_meme', 'user', 'alice', expect.any(Object));
+    });
+
+    it('still returns the meme when the follower push fails', async () => {
+        followService.getFollowerUsernames.mockRejectedValue(new Error('follows table unavailable'));
+
+        const meme = await memeService.createMeme({
+            text: 'Neon nights',
+            image_url: 'https://example.com/meme.png',
+            tags: ['neon'],
+            username: 'alice'
+        });
+        expect(meme.id).toBe(42);
+    });
+});
+
+describe('MemeService.deleteMeme', () => {
+    const meme = { id: 9, username: 'alice', owner_username: 'alice', is_active: true };
+
+    beforeEach(() => {
+        jest.spyOn(memeService, 'findActiveMeme').mockResolvedValue(meme);
+        jest.spyOn(memeService, 'update').mockResolvedValue({ ...meme, is_active: false });
+        jest.spyOn(moderationService, 'recordAction').mockResolvedValue({ id: 1 });
+        jest.spyOn(messageService, 'broadcastMemeDeleted').mockResolvedValue(true);
+        jest.spyOn(messageService, 'updateLeaderboard').mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('lets the owner delete without an audit entry', async () => {
+        await memeService.deleteMeme(9, { username: 'alice', role: 'user' });
+        expect(moderationService.recordAction).not.toHaveBeenCalled();
+    });
+
+    it('audits an admin deleting someone else\'s meme', async () => {
+        await memeService.deleteMeme(9, { username: 'root', role: 'admin' });
+        expect(moderationService.recordAction).toHaveBeenCalledWith('root', 'delete_meme', 'meme', 9, { owner: 'alice', role: 'admin' });
+    });
+
+    it('refuses moderators and other users', async () => {
+        await expect(memeService.deleteMeme(9, { username: 'mod', role: 'moderator' })).rejects.toThrow('Not authorized');
+        await expect(memeService.deleteMeme(9, { username: 'bob', role: 'user' })).rejects.toThrow('Not authorized');
+        expect(memeService.update).not.toHaveBeenCalled();
+    });
+});
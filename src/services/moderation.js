@@ -0,0 +1,256 @@
+const messageService = require('../ws/ws');
+const notificationService = require('./notifications');
+const { DatabaseService } = require('../database/db');
+const { logger } = require('../utils/logger');
+
+class ModerationService extends DatabaseService {
+    constructor() {
+        super();
+        // Pending reports that hide a meme until a moderator reviews it
+        this.autoHideThreshold = Number(process.env.REPORT_AUTO_HIDE_THRESHOLD || 3);
+    }
+
+    // Append an entry to the audit trail. Callers run this after the action
+    // itself, so a failure is logged rather than undoing the action.
+    async recordAction(actor, action, targetType, targetId, details = {}) {
+        try {
+            return await this.create('moderation_actions', {
+                actor_username: actor,
+                action,
+                target_type: targetType,
+                target_id: String(targetId),
+                details,
+                created_at: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error(`Error recording moderation action ${action} by ${actor}:`, error);
+            return null;
+        }
+    }
+
+    async reportMeme(memeId, reporter, reason, details = null) {
+        try {
+            const result = await this.executeQuery(
+                this.client().rpc('report_meme', {
+                    p_meme_id: memeId,
+                    p_reporter: reporter,
+                    p_reason: reason,
+                    p_details: details,
+                    p_hide_threshold: this.autoHideThreshold
+                })
+            );
+
+            if (result.auto_hidden) {
+                messageService.broadcastMemeDeleted(memeId, 'system');
+                messageService.updateLeaderboard();
+                logger.warn(`Meme ${memeId} auto-hidden after ${result.pending_reports} reports`);
+            }
+
+            logger.info(`${reporter} reported meme ${memeId} for ${reason}`);
+            return {
+                id: result.report_id,
+                meme_id: memeId,
+                reason,
+                status: 'open'
+            };
+        } catch (error) {
+            logger.error('Error reporting meme:', error);
+            throw error;
+        }
+    }
+
+    // Report details and audit details for a meme held back by safety
+    // screening; create_meme files them itself for new memes
+    describeHold(screening) {
+        return {
+            details: `Flagged by ${screening.source} classifier: ${screening.flagged.join(', ')}`,
+            screening: {
+                flagged: screening.flagged,
+                scores: screening.scores,
+                source: screening.source
+            }
+        };
+    }
+
+    // Queue an edited meme held back by safety screening for moderator review
+    async holdForReview(memeId, screening) {
+        try {
+            const hold = this.describeHold(screening);
+            const report = await this.create('reports', {
+                meme_id: memeId,
+                reporter_username: null,
+                reason: 'ai_screening',
+                details: hold.details,
+                created_at: new Date().toISOString()
+            });
+
+            await this.recordAction('system', 'auto_hold', 'meme', memeId, hold.screening);
+
+            logger.warn(`Meme ${memeId} held for review (${screening.flagged.join(', ')})`);
+            return report;
+        } catch (error) {
+            logger.error('Error holding meme for review:', error);
+            throw error;
+        }
+    }
+
+    async listReports(options = {}) {
+        try {
+            const { page = 1, pageSize = 20, status, reason } = options;
+            const offset = (page - 1) * pageSize;
+
+            let query = this.client()
+                .from('reports')
+                .select('*, memes(id, text, image_url, username, owner_username, is_active, moderation_status)', { count: 'exact' });
+
+            // The queue defaults to reports still waiting for a decision
+            query = status ? query.eq('status', status) : query.in('status', ['open', 'claimed']);
+            if (reason) {
+                query = query.eq('reason', reason);
+            }
+
+            const { data: reports, count, error } = await query
+                .order('created_at', { ascending: true })
+                .order('id', { ascending: true })
+                .range(offset, offset + pageSize - 1);
+
+            if (error) throw error;
+
+            return {
+                reports: reports.map(({ memes, ...report }) => ({ ...report, meme: memes })),
+                pagination: {
+                    page,
+                    pageSize,
+                    total: count,
+                    totalPages: Math.ceil(count / pageSize)
+                }
+            };
+        } catch (error) {
+            logger.error('Error listing reports:', error);
+            throw error;
+        }
+    }
+
+    // Claim a report so other moderators leave it alone. Admins can take over
+    // a report claimed by someone else.
+    async claimReport(reportId, moderator) {
+        try {
+            const [report] = await this.findMany('reports', { id: reportId });
+            if (!report) {
+                throw new Error(`Report ${reportId} not found`);
+            }
+            if (!['open', 'claimed'].includes(report.status)) {
+                throw new Error('Report has already been reviewed');
+            }
+            if (report.status === 'claimed' && report.claimed_by === moderator.username) {
+                return report;
+            }
+            if (report.status === 'claimed' && moderator.role !== 'admin') {
+                throw new Error(`Not authorized: report is claimed by ${report.claimed_by}`);
+            }
+
+            // Only claim the row if nobody changed it since it was read
+            const claimed = await this.executeQuery(
+                this.client()
+                    .from('reports')
+                    .update({
+                        status: 'claimed',
+                        claimed_by: moderator.username,
+                        claimed_at: new Date().toISOString()
+                    })
+                    .eq('id', reportId)
+                    .eq('status', report.status)
+                    .select()
+            );
+
+            if (!claimed.length) {
+                throw new Error('Report was updated by another moderator, please retry');
+            }
+
+            await this.recordAction(moderator.username, 'claim_report', 'report', reportId, {
+                meme_id: report.meme_id,
+                previous_claim: report.claimed_by
+            });
+
+            logger.info(`${moderator.username} claimed report ${reportId}`);
+            return claimed[0];
+        } catch (error) {
+            logger.error('Error claiming report:', error);
+            throw error;
+        }
+    }
+
+    // decision is 'resolved' (remove the meme) or 'dismissed' (keep it)
+    async reviewReport(reportId, moderator, decision, note = null) {
+        try {
+            const result = await this.executeQuery(
+                this.client().rpc('review_report', {
+                    p_report_id: reportId,
+                    p_moderator: moderator.username,
+                    p_decision: decision,
+                    p_note: note,
+                    p_override_claim: moderator.role === 'admin'
+                })
+            );
+
+            if (decision === 'resolved') {
+                if (result.was_active) {
+                    messageService.broadcastMemeDeleted(result.meme_id, moderator.username);
+                    messageService.updateLeaderboard();
+                }
+                notificationService.notify(result.owner, 'meme_removed', {
+                    message: `${result.meme_text} was removed after a moderator review`,
+                    memeId: result.meme_id,
+                    memeName: result.meme_text
+                });
+            } else if (!result.was_active && result.moderation_status === 'visible') {
+                // Reports had hidden the meme; dismissing them brings it back
+                messageService.updateLeaderboard();
+            }
+
+            logger.info(`${moderator.username} ${decision} report ${reportId} (${result.reports_settled} reports settled)`);
+            return result;
+        } catch (error) {
+            logger.error('Error reviewing report:', error);
+            throw error;
+        }
+    }
+
+    async getAuditLog(options = {}) {
+        try {
+            const { page = 1, pageSize = 50, actor, action, targetType, targetId } = options;
+            const offset = (page - 1) * pageSize;
+
+            let query = this.client()
+                .from('moderation_actions')
+                .select('*', { count: 'exact' });
+
+            if (actor) query = query.eq('actor_username', actor);
+            if (action) query = query.eq('action', action);
+            if (targetType) query = query.eq('target_type', targetType);
+            if (targetId) query = query.eq('target_id', targetId);
+
+            const { data: actions, count, error } = await query
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false })
+                .range(offset, offset + pageSize - 1);
+
+            if (error) throw error;
+
+            return {
+                actions,
+                pagination: {
+                    page,
+                    pageSize,
+                    total: count,
+                    totalPages: Math.ceil(count / pageSize)
+                }
+            };
+        } catch (error) {
+            logger.error('Error fetching audit log:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new ModerationService();
@@ -0,0 +1,183 @@
+const messageService = require('../ws/ws');
+const { DatabaseService } = require('../database/db');
+const { logger } = require('../utils/logger');
+
+class NotificationService extends DatabaseService {
+    constructor() {
+        super();
+        this.replayLimit = 50;
+    }
+
+    formatNotification(notification) {
+        return {
+            id: notification.id,
+            type: notification.type,
+            payload: notification.payload,
+            read: !!notification.read_at,
+            read_at: notification.read_at,
+            created_at: notification.created_at
+        };
+    }
+
+    // Store a notification in the user's inbox and push it live if they are online
+    async notify(username, type, payload = {}) {
+        try {
+            const notification = await this.create('notifications', {
+                username,
+                type,
+                payload,
+                created_at: new Date().toISOString()
+            });
+
+            const delivered = await messageService.notifyUser(username, {
+                ...payload,
+                type,
+                notificationId: notification.id,
+                createdAt: notification.created_at
+            });
+
+            if (delivered) {
+                await this.update('notifications', notification.id, {
+                    delivered_at: new Date().toISOString()
+                });
+            }
+
+            return notification;
+        } catch (error) {
+            // Notifications are best-effort and never fail the triggering action
+            logger.error(`Error notifying user ${username}:`, error);
+            return null;
+        }
+    }
+
+    // Replay unread notifications when the user authenticates a socket
+    async deliverPending(username) {
+        try {
+            const { data: unread, error } = await this.client()
+                .from('notifications')
+                .select('*')
+                .eq('username', username)
+                .is('read_at', null)
+                .order('created_at', { ascending: false })
+                .limit(this.replayLimit);
+
+            if (error) throw error;
+            if (!unread.length) return 0;
+
+            const unreadCount = await this.getUnreadCount(username);
+            const delivered = await messageService.sendUnreadNotifications(
+                username,
+                unread.map(notification => this.formatNotification(notification)),
+                unreadCount
+            );
+            if (!delivered) return 0;
+
+            const undeliveredIds = unread.filter(notification => !notification.delivered_at).map(notification => notification.id);
+            if (undeliveredIds.length) {
+                await this.executeQuery(
+                    this.client()
+                        .from('notifications')
+                        .update({ delivered_at: new Date().toISOString() })
+                        .in('id', undeliveredIds)
+                );
+            }
+
+            logger.info(`Replayed ${unread.length} unread notifications to ${username}`);
+            return unread.length;
+        } catch (error) {
+            logger.error(`Error replaying notifications to ${username}:`, error);
+            return 0;
+        }
+    }
+
+    async getUnreadCount(username) {
+        const { count, error } = await this.client()
+            .from('notifications')
+            .select('id', { count: 'exact', head: true })
+            .eq('username', username)
+            .is('read_at', null);
+
+        if (error) throw error;
+        return count;
+    }
+
+    async getNotifications(username, options = {}) {
+        try {
+            const { page = 1, pageSize = 20, unreadOnly = false } = options;
+            const offset = (page - 1) * pageSize;
+
+            let query = this.client()
+                .from('notifications')
+                .select('*', { count: 'exact' })
+                .eq('username', username);
+
+            if (unreadOnly) {
+                query = query.is('read_at', null);
+            }
+
+            const { data: notifications, count, error } = await query
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false })
+                .range(offset, offset + pageSize - 1);
+
+            if (error) throw error;
+
+            return {
+                notifications: notifications.map(notification => this.formatNotification(notification)),
+                unreadCount: await this.getUnreadCount(username),
+                pagination: {
+                    page,
+                    pageSize,
+                    total: count,
+                    totalPages: Math.ceil(count / pageSize)
+                }
+            };
+        } catch (error) {
+            logger.error('Error fetching notifications:', error);
+            throw error;
+        }
+    }
+
+    async markAsRead(username, notificationId) {
+        try {
+            const matches = await this.findMany('notifications', { id: notificationId, username });
+            const notification = matches[0];
+            if (!notification) {
+                throw new Error('Notification not found');
+            }
+
+            if (notification.read_at) {
+                return this.formatNotification(notification);
+            }
+
+            const updated = await this.update('notifications', notificationId, {
+                read_at: new Date().toISOString()
+            });
+            return this.formatNotification(updated);
+        } catch (error) {
+            logger.error('Error marking notification as read:', error);
+            throw error;
+        }
+    }
+
+    async markAllAsRead(username) {
+        try {
+            const updated = await this.executeQuery(
+                this.client()
+                    .from('notifications')
+                    .update({ read_at: new Date().toISOString() })
+                    .eq('username', username)
+                    .is('read_at', null)
+                    .select('id')
+            );
+
+            logger.info(`Marked ${updated.length} notifications as read for ${username}`);
+            return { updated: updated.length };
+        } catch (error) {
+            logger.error('Error marking all notifications as read:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,98 @@
+const { MemoryCounterStore } = require('../utils/counterStore');
+const { logger } = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const limitFromEnv = (name, fallback) => Number(process.env[name] || fallback);
+
+// Each policy caps requests per user and per IP within a fixed window.
+// HTTP routes and WebSocket events draw from the same counters.
+const POLICIES = {
+    createMeme: {
+        windowMs: HOUR,
+        perUser: limitFromEnv('RATE_LIMIT_MEMES_PER_HOUR', 10),
+        perIp: limitFromEnv('RATE_LIMIT_MEMES_PER_HOUR_PER_IP', 30)
+    },
+    vote: {
+        windowMs: MINUTE,
+        perUser: limitFromEnv('RATE_LIMIT_VOTES_PER_MINUTE', 30),
+        perIp: limitFromEnv('RATE_LIMIT_VOTES_PER_MINUTE_PER_IP', 90)
+    },
+    bid: {
+        windowMs: MINUTE,
+        perUser: limitFromEnv('RATE_LIMIT_BIDS_PER_MINUTE', 10),
+        perIp: limitFromEnv('RATE_LIMIT_BIDS_PER_MINUTE_PER_IP', 30)
+    },
+    report: {
+        windowMs: HOUR,
+        perUser: limitFromEnv('RATE_LIMIT_REPORTS_PER_HOUR', 20),
+        perIp: limitFromEnv('RATE_LIMIT_REPORTS_PER_HOUR_PER_IP', 60)
+    },
+    socketEvents: {
+        windowMs: MINUTE,
+        perUser: limitFromEnv('RATE_LIMIT_SOCKET_EVENTS_PER_MINUTE', 120),
+        perIp: limitFromEnv('RATE_LIMIT_SOCKET_EVENTS_PER_MINUTE_PER_IP', 300)
+    }
+};
+
+class RateLimiterService {
+    constructor() {
+        this.store = new MemoryCounterStore();
+        this.policies = POLICIES;
+    }
+
+    // Swap in a shared store (e.g. RedisCounterStore) when running several instances
+    setStore(store) {
+        this.store = store;
+    }
+
+    // Count one action against the user and IP buckets of a policy. The
+    // result describes whichever bucket is closest to its limit.
+    async consume(policyName, { username, ip } = {}) {
+        const policy = this.policies[policyName];
+        if (!policy) {
+            throw new Error(`Unknown rate limit policy: ${policyName}`);
+        }
+
+        const buckets = [];
+        if (username) buckets.push({ key: `rate:${policyName}:user:${username}`, limit: policy.perUser });
+        if (ip) buckets.push({ key: `rate:${policyName}:ip:${ip}`, limit: policy.perIp });
+
+        try {
+            const results = await Promise.all(buckets.map(async bucket => {
+                const { count, resetMs } = await this.store.increment(bucket.key, policy.windowMs);
+                return {
+                    limit: bucket.limit,
+                    remaining: Math.max(bucket.limit - count, 0),
+                    resetSeconds: Math.ceil(resetMs / 1000),
+                    exceeded: count > bucket.limit
+                };
+            }));
+
+            const tightest = results.find(result => result.exceeded)
+                || results.sort((a, b) => a.remaining - b.remaining)[0];
+
+            if (!tightest) {
+                return { allowed: true, limit: null, remaining: null, resetSeconds: null };
+            }
+
+            if (tightest.exceeded) {
+                logger.warn(`Rate limit ${policyName} exceeded by ${username || 'anonymous'} (${ip})`);
+            }
+
+            return {
+                allowed: !tightest.exceeded,
+                limit: tightest.limit,
+                remaining: tightest.remaining,
+                resetSeconds: tightest.resetSeconds
+            };
+        } catch (error) {
+            // Fail open so an unavailable store does not take the API down
+            logger.error(`Error applying rate limit ${policyName}:`, error);
+            return { allowed: true, limit: null, remaining: null, resetSeconds: null };
+        }
+    }
+}
+
+module.exports = new RateLimiterService();
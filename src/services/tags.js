@@ -0,0 +1,55 @@
+const { DatabaseService } = require('../database/db');
+const { logger } = require('../utils/logger');
+
+class TagService extends DatabaseService {
+    constructor() {
+        super();
+    }
+
+    // Lowercase, trim, drop a leading '#' and de-duplicate
+    normalizeTags(tags = []) {
+        const normalized = tags
+            .map(tag => tag.trim().replace(/^#+/, '').toLowerCase().substring(0, 50))
+            .filter(Boolean);
+        return [...new Set(normalized)];
+    }
+
+    async setMemeTags(memeId, tags) {
+        try {
+            const normalized = this.normalizeTags(tags);
+            await this.executeQuery(
+                this.client().rpc('set_meme_tags', {
+                    p_meme_id: memeId,
+                    p_tags: normalized
+                })
+            );
+            return normalized;
+        } catch (error) {
+            logger.error(`Error setting tags for meme ${memeId}:`, error);
+            throw error;
+        }
+    }
+
+    async getTrendingTags(options = {}) {
+        try {
+            const { hours = 24, limit = 10 } = options;
+            const tags = await this.executeQuery(
+                this.client().rpc('trending_tags', {
+                    p_hours: hours,
+                    p_limit: limit
+                })
+            );
+
+            return tags.map(tag => ({
+                tag: tag.tag,
+                meme_count: tag.meme_count,
+                score: Number(tag.score)
+            }));
+        } catch (error) {
+            logger.error('Error fetching trending tags:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new TagService();
@@ -0,0 +1,95 @@
+const webSocketManager = require('../ws/config');
+const messageService = require('../ws/ws');
+const authService = require('./auth');
+const followService = require('./follows');
+const { DatabaseService } = require('../database/db');
+const { logger } = require('../utils/logger');
+
+// Columns that are safe to expose on a public profile
+const PUBLIC_PROFILE_COLUMNS = 'username, name, bio, avatar_url, created_at, deleted_at';
+
+class UserService extends DatabaseService {
+    constructor() {
+        super();
+    }
+
+    async getPublicProfile(username) {
+        try {
+            const users = await this.findMany('users', { username }, { select: PUBLIC_PROFILE_COLUMNS });
+            const user = users[0];
+            if (!user || user.deleted_at) {
+                throw new Error(`User ${username} not found`);
+            }
+
+            const [stats, followCounts] = await Promise.all([
+                this.executeQuery(this.client().rpc('user_profile_stats', { p_username: username })),
+                followService.getFollowCounts(username)
+            ]);
+
+            return {
+                username: user.username,
+                name: user.name,
+                bio: user.bio,
+                avatar_url: user.avatar_url,
+                joined_at: user.created_at,
+                online: webSocketManager.isUserOnline(username),
+                stats: {
+                    meme_count: stats.meme_count,
+                    total_upvotes: stats.total_upvotes,
+                    total_bid_value: Number(stats.total_bid_value),
+                    ...followCounts
+                },
+                top_meme: stats.top_meme
+            };
+        } catch (error) {
+            logger.error('Error fetching public profile:', error);
+            throw error;
+        }
+    }
+
+    async updateProfile(username, changes) {
+        try {
+            const updates = { updated_at: new Date().toISOString() };
+            ['name', 'bio', 'avatar_url'].forEach(field => {
+                if (changes[field] !== undefined) {
+                    updates[field] = changes[field];
+                }
+            });
+
+            const { password: _, ...user } = await this.update('users', username, updates, 'username');
+
+            logger.info(`Profile updated for ${username}`);
+            return user;
+        } catch (error) {
+            logger.error('Error updating profile:', error);
+            throw error;
+        }
+    }
+
+    // Anonymize the account, soft-delete its memes and end every session.
+    // Bids and ledger entries are left untouched for auditing.
+    async deleteAccount(user, password) {
+        try {
+            if (!(await authService.verifyPassword(user.id, password))) {
+                throw new Error('Password is incorrect');
+            }
+
+            const result = await this.executeQuery(
+                this.client().rpc('delete_user_account', { p_user_id: user.id })
+            );
+
+            webSocketManager.disconnectUser(user.username, 'account_deleted');
+            if (result.memes_deleted > 0) {
+                messageService.updateLeaderboard();
+            }
+
+            logger.info(`Account deleted for ${user.username} (${result.memes_deleted} memes removed)`);
+            return { username: user.username, deleted: true, memes_deleted: result.memes_deleted };
+        } catch (error) {
+            logger.error('Error deleting account:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new UserService();
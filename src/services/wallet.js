@@ -0,0 +1,117 @@
+const { DatabaseService } = require('../database/db');
+const { logger } = require('../utils/logger');
+
+class WalletService extends DatabaseService {
+    constructor() {
+        super();
+        this.signupBonus = Number(process.env.SIGNUP_BONUS_CREDITS || 100);
+    }
+
+    userAccount(username) {
+        return `user:${username}`;
+    }
+
+    generateEntryGroup(prefix) {
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    // Move credits between two ledger accounts in a single transaction
+    async transfer({ from, to, amount, type, reference = null, entryGroup }) {
+        try {
+            const group = entryGroup || this.generateEntryGroup(type);
+            await this.executeQuery(
+                this.client().rpc('ledger_transfer', {
+                    p_entry_group: group,
+                    p_debit_account: from,
+                    p_credit_account: to,
+                    p_amount: amount,
+                    p_entry_type: type,
+                    p_reference: reference
+                })
+            );
+            return group;
+        } catch (error) {
+            logger.error(`Error transferring ${amount} from ${from} to ${to}:`, error);
+            throw error;
+        }
+    }
+
+    async createWallet(username) {
+        try {
+            const wallet = await this.create('wallets', {
+                username,
+                balance: 0,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            });
+
+            if (this.signupBonus > 0) {
+                await this.transfer({
+                    from: 'system:signup_bonus',
+                    to: this.userAccount(username),
+                    amount: this.signupBonus,
+                    type: 'signup_bonus'
+                });
+                wallet.balance = this.signupBonus;
+            }
+
+            logger.info(`Wallet created for ${username} with ${wallet.balance} credits`);
+            return wallet;
+        } catch (error) {
+            logger.error('Error creating wallet:', error);
+            throw error;
+        }
+    }
+
+    async getWallet(username) {
+        try {
+            const wallets = await this.findMany('wallets', { username });
+            const wallet = wallets[0];
+
+            return {
+                username,
+                balance: wallet ? Number(wallet.balance) : 0,
+                updated_at: wallet ? wallet.updated_at : null
+            };
+        } catch (error) {
+            logger.error('Error fetching wallet:', error);
+            throw error;
+        }
+    }
+
+    async getTransactions(username, options = {}) {
+        try {
+            const { page = 1, pageSize = 20 } = options;
+            const offset = (page - 1) * pageSize;
+
+            const { data: entries, count, error } = await this.client()
+                .from('ledger_entries')
+                .select('id, entry_group, amount, balance_after, entry_type, reference, created_at', { count: 'exact' })
+                .eq('account', this.userAccount(username))
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false })
+                .range(offset, offset + pageSize - 1);
+
+            if (error) throw error;
+
+            return {
+                transactions: entries.map(entry => ({
+                    ...entry,
+                    amount: Number(entry.amount),
+                    balance_after: entry.balance_after === null ? null : Number(entry.balance_after)
+                })),
+                pagination: {
+                    page,
+                    pageSize,
+                    total: count,
+                    totalPages: Math.ceil(count / pageSize)
+                }
+            };
+        } catch (error) {
+            logger.error('Error fetching wallet transactions:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new WalletService();
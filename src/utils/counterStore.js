@@ -0,0 +1,96 @@
+// Expiring counter stores shared by brute-force protection and rate limiting.
+// A store implements:
+//   increment(key, windowMs) -> { count, resetMs }  starts the window on first hit
+//   set(key, value, ttlMs)
+//   ttl(key) -> milliseconds left, 0 when the key is missing
+//   delete(key)
+
+class MemoryCounterStore {
+    constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+        this.entries = new Map();
+        this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+        this.sweeper.unref();
+    }
+
+    getEntry(key) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    async increment(key, windowMs) {
+        const entry = this.getEntry(key);
+        if (entry) {
+            entry.value += 1;
+            return { count: entry.value, resetMs: entry.expiresAt - Date.now() };
+        }
+
+        this.entries.set(key, { value: 1, expiresAt: Date.now() + windowMs });
+        return { count: 1, resetMs: windowMs };
+    }
+
+    async set(key, value, ttlMs) {
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+
+    async ttl(key) {
+        const entry = this.getEntry(key);
+        return entry ? entry.expiresAt - Date.now() : 0;
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+}
+
+// Wraps a Redis client with ioredis-style commands (incr, pexpire, pttl, set, del)
+// so counters are shared between server instances.
+class RedisCounterStore {
+    constructor(client, { prefix = 'cyberplace:' } = {}) {
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    async increment(key, windowMs) {
+        const redisKey = this.prefix + key;
+        const count = await this.client.incr(redisKey);
+        const resetMs = count === 1 ? -1 : await this.client.pttl(redisKey);
+
+        // A new key, or one left without an expiry by a failed pexpire
+        if (resetMs < 0) {
+            await this.client.pexpire(redisKey, windowMs);
+            return { count, resetMs: windowMs };
+        }
+        return { count, resetMs };
+    }
+
+    async set(key, value, ttlMs) {
+        await this.client.set(this.prefix + key, value, 'PX', ttlMs);
+    }
+
+    async ttl(key) {
+        const remaining = await this.client.pttl(this.prefix + key);
+        return Math.max(remaining, 0);
+    }
+
+    async delete(key) {
+        await this.client.del(this.prefix + key);
+    }
+}
+
+module.exports = {
+    MemoryCounterStore,
+    RedisCounterStore
+};
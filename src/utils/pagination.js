@@ -0,0 +1,87 @@
+// Opaque keyset cursors. A cursor records the sort column, its direction,
+// the sort value and id of the boundary row, and which way to page from it.
+
+const encodeCursor = (payload) => {
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!payload || typeof payload !== 'object' || payload.id === undefined || !['next', 'prev'].includes(payload.d)) {
+            throw new Error('Malformed cursor');
+        }
+        return payload;
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+};
+
+// Quote a value for use inside a PostgREST or() filter
+const quoteFilterValue = (value) => `"${String(value).replace(/"/g, '\\"')}"`;
+
+// Apply keyset filtering, ordering and limit to a Supabase query. Fetches one
+// extra row so buildPage can tell whether another page exists.
+const applyKeyset = (query, { column, ascending = false, cursor = null, limit = 20 }) => {
+    let decoded = null;
+    if (cursor) {
+        decoded = decodeCursor(cursor);
+        if (decoded.s !== column || decoded.a !== ascending) {
+            throw new Error('Invalid cursor');
+        }
+    }
+
+    // Paging backwards walks the list in reverse order from the first row
+    const backwards = decoded?.d === 'prev';
+    const effectiveAscending = backwards ? !ascending : ascending;
+
+    if (decoded) {
+        const op = effectiveAscending ? 'gt' : 'lt';
+        const value = quoteFilterValue(decoded.v);
+        query = query.or(`${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${decoded.id})`);
+    }
+
+    query = query
+        .order(column, { ascending: effectiveAscending })
+        .order('id', { ascending: effectiveAscending })
+        .limit(limit + 1);
+
+    return { query, cursor: decoded };
+};
+
+// Trim the extra row, restore display order and build next/prev cursors
+const buildPage = (rows, { column, ascending = false, cursor = null, limit = 20 }) => {
+    const backwards = cursor?.d === 'prev';
+    const hasMore = rows.length > limit;
+    const items = rows.slice(0, limit);
+    if (backwards) {
+        items.reverse();
+    }
+
+    const makeCursor = (row, direction) => encodeCursor({
+        s: column,
+        a: ascending,
+        v: row[column],
+        id: row.id,
+        d: direction
+    });
+
+    const first = items[0];
+    const last = items[items.length - 1];
+
+    return {
+        items,
+        pagination: {
+            limit,
+            nextCursor: last && (backwards || hasMore) ? makeCursor(last, 'next') : null,
+            prevCursor: first && (backwards ? hasMore : !!cursor) ? makeCursor(first, 'prev') : null
+        }
+    };
+};
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    applyKeyset,
+    buildPage
+};
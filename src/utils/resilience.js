@@ -0,0 +1,138 @@
+// Timeouts, retries and a circuit breaker for calls to flaky upstream services
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run fn(signal) and reject if it takes longer than ms. The signal is aborted
+// on timeout so callers that support it can cancel the underlying request.
+const withTimeout = async (fn, ms, label = 'Operation') => {
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            const error = new Error(`${label} timed out after ${ms}ms`);
+            error.retryable = true;
+            reject(error);
+        }, ms);
+    });
+
+    try {
+        return await Promise.race([fn(controller.signal), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+// Timeouts, network failures, rate limiting and server errors are worth retrying
+const isRetryableError = (error) => {
+    if (error.retryable !== undefined) return error.retryable;
+    if (error.status) return error.status === 429 || error.status >= 500;
+    return /timed out|ECONNRESET|ETIMEDOUT|ECONNREFUSED|EAI_AGAIN|fetch failed|socket hang up|\[(429|5\d\d)[\s\]]/i.test(error.message || '');
+};
+
+// Retry with exponential backoff and full jitter
+const retry = async (fn, { retries = 2, baseDelayMs = 250, maxDelayMs = 4000, shouldRetry = isRetryableError } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) {
+                throw error;
+            }
+            await sleep(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+        }
+    }
+};
+
+// Opens after failureThreshold consecutive failures and rejects calls until
+// resetTimeoutMs has passed. Then one trial call is let through (half-open):
+// success closes the breaker, failure opens it again. Only errors matching
+// isFailure count; anything else (bad requests, unparseable responses) shows
+// the upstream is reachable and counts as a success.
+class CircuitBreaker {
+    constructor(name, { failureThreshold = 5, resetTimeoutMs = 30000, isFailure = isRetryableError } = {}) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.isFailure = isFailure;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    async execute(fn) {
+        if (this.state === 'open') {
+            if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+                const error = new Error(`Circuit breaker ${this.name} is open`);
+                error.retryable = false;
+                throw error;
+            }
+            this.state = 'half_open';
+        }
+
+        let isTrial = false;
+        if (this.state === 'half_open') {
+            if (this.trialInFlight) {
+                const error = new Error(`Circuit breaker ${this.name} is half-open`);
+                error.retryable = false;
+                throw error;
+            }
+            this.trialInFlight = true;
+            isTrial = true;
+        }
+
+        try {
+            const result = await fn();
+            this.onSuccess(isTrial);
+            return result;
+        } catch (error) {
+            if (this.isFailure(error)) {
+                this.onFailure(isTrial);
+            } else {
+                this.onSuccess(isTrial);
+            }
+            throw error;
+        } finally {
+            if (isTrial) {
+                this.trialInFlight = false;
+            }
+        }
+    }
+
+    // Calls that started before the breaker opened finish as stragglers and
+    // must not decide the outcome; only closed-state calls and the trial do
+    onSuccess(isTrial) {
+        if (!isTrial && this.state !== 'closed') return;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    onFailure(isTrial) {
+        if (!isTrial && this.state !== 'closed') return;
+        this.failures += 1;
+        if (isTrial || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    getState() {
+        return {
+            name: this.name,
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null
+        };
+    }
+}
+
+module.exports = {
+    withTimeout,
+    isRetryableError,
+    retry,
+    CircuitBreaker
+};
@@ -0,0 +1,194 @@
+const { withTimeout, isRetryableError, retry, CircuitBreaker } = require('./resilience');
+
+const deferred = () => {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+};
+
+const retryableError = (message = 'upstream timed out') => Object.assign(new Error(message), { retryable: true });
+
+describe('withTimeout', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    it('resolves when the call finishes in time', async () => {
+        await expect(withTimeout(async () => 'ok', 100)).resolves.toBe('ok');
+    });
+
+    it('rejects with a retryable error and aborts the signal on timeout', async () => {
+        let signal;
+        const pending = withTimeout(s => {
+            signal = s;
+            return new Promise(() => {});
+        }, 100, 'gemini caption call');
+        const assertion = expect(pending).rejects.toMatchObject({
+            message: 'gemini caption call timed out after 100ms',
+            retryable: true
+        });
+
+        jest.advanceTimersByTime(100);
+        await assertion;
+        expect(signal.aborted).toBe(true);
+    });
+});
+
+describe('isRetryableError', () => {
+    it.each([
+        ['an error marked retryable', retryableError(), true],
+        ['an explicit retryable: false', Object.assign(new Error('nope'), { retryable: false, status: 503 }), false],
+        ['HTTP 429', Object.assign(new Error('rate limited'), { status: 429 }), true],
+        ['HTTP 502', Object.assign(new Error('server error'), { status: 502 }), true],
+        ['HTTP 400', Object.assign(new Error('bad request'), { status: 400 }), false],
+        ['fetch failures', new Error('fetch failed'), true],
+        ['connection resets', new Error('read ECONNRESET'), true],
+        ['Gemini 503 messages', new Error('[GoogleGenerativeAI Error]: [503 Service Unavailable] overloaded'), true],
+        ['Gemini 400 messages', new Error('[GoogleGenerativeAI Error]: [400 Bad Request] invalid'), false],
+        ['malformed JSON responses', new Error('Model response was not valid JSON: Unexpected token'), false]
+    ])('classifies %s', (label, error, expected) => {
+        expect(isRetryableError(error)).toBe(expected);
+    });
+});
+
+describe('retry', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    });
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('retries retryable errors with exponential backoff', async () => {
+        const fn = jest.fn()
+            .mockRejectedValueOnce(retryableError())
+            .mockRejectedValueOnce(retryableError())
+            .mockResolvedValue('ok');
+
+        const pending = retry(fn, { retries: 2, baseDelayMs: 100 });
+
+        await jest.advanceTimersByTimeAsync(49);
+        expect(fn).toHaveBeenCalledTimes(1);
+        await jest.advanceTimersByTimeAsync(1); // 0.5 * 100ms
+        expect(fn).toHaveBeenCalledTimes(2);
+        await jest.advanceTimersByTimeAsync(100); // 0.5 * 200ms
+        await expect(pending).resolves.toBe('ok');
+        expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    it('caps the delay at maxDelayMs', async () => {
+        const fn = jest.fn().mockRejectedValueOnce(retryableError()).mockResolvedValue('ok');
+
+        const pending = retry(fn, { retries: 1, baseDelayMs: 10000, maxDelayMs: 1000 });
+        await jest.advanceTimersByTimeAsync(500);
+        await expect(pending).resolves.toBe('ok');
+    });
+
+    it('does not retry non-retryable errors', async () => {
+        const fn = jest.fn().mockRejectedValue(Object.assign(new Error('bad request'), { status: 400 }));
+
+        await expect(retry(fn, { retries: 3 })).rejects.toThrow('bad request');
+        expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('gives up after the last retry', async () => {
+        const fn = jest.fn().mockRejectedValue(retryableError());
+
+        const assertion = expect(retry(fn, { retries: 2, baseDelayMs: 100 })).rejects.toThrow('timed out');
+        await jest.advanceTimersByTimeAsync(1000);
+        await assertion;
+        expect(fn).toHaveBeenCalledTimes(3);
+    });
+});
+
+describe('CircuitBreaker', () => {
+    let breaker;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        breaker = new CircuitBreaker('test', { failureThreshold: 2, resetTimeoutMs: 1000 });
+    });
+    afterEach(() => jest.useRealTimers());
+
+    const fail = () => breaker.execute(() => Promise.reject(retryableError())).catch(() => {});
+
+    it('goes closed -> open -> half-open -> closed', async () => {
+        await fail();
+        expect(breaker.state).toBe('closed');
+        await fail();
+        expect(breaker.state).toBe('open');
+
+        const call = jest.fn().mockResolvedValue('ok');
+        await expect(breaker.execute(call)).rejects.toThrow('Circuit breaker test is open');
+        expect(call).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1000);
+        const trial = deferred();
+        const pending = breaker.execute(() => trial.promise);
+        expect(breaker.state).toBe('half_open');
+
+        trial.resolve('ok');
+        await expect(pending).resolves.toBe('ok');
+        expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0, openedAt: null });
+    });
+
+    it('reopens when the trial call fails', async () => {
+        await fail();
+        await fail();
+        jest.advanceTimersByTime(1000);
+
+        await fail();
+        expect(breaker.state).toBe('open');
+        await expect(breaker.execute(() => Promise.resolve('ok'))).rejects.toThrow('is open');
+    });
+
+    it('lets only one trial call through while half-open', async () => {
+        await fail();
+        await fail();
+        jest.advanceTimersByTime(1000);
+
+        const trial = deferred();
+        const pending = breaker.execute(() => trial.promise);
+        await expect(breaker.execute(() => Promise.resolve('ok'))).rejects.toThrow('is half-open');
+
+        trial.resolve('ok');
+        await pending;
+        await expect(breaker.execute(() => Promise.resolve('ok'))).resolves.toBe('ok');
+    });
+
+    it('ignores calls that started before the breaker opened', async () => {
+        const straggler = deferred();
+        const stragglerCall = breaker.execute(() => straggler.promise).catch(() => {});
+
+        await fail();
+        await fail();
+        jest.advanceTimersByTime(1000);
+
+        const trial = deferred();
+        const trialCall = breaker.execute(() => trial.promise);
+
+        // The straggler finishing must neither free the trial slot nor close the breaker
+        straggler.resolve('late');
+        await stragglerCall;
+        expect(breaker.state).toBe('half_open');
+        await expect(breaker.execute(() => Promise.resolve('ok'))).rejects.toThrow('is half-open');
+
+        trial.reject(retryableError());
+        await expect(trialCall).rejects.toThrow('timed out');
+        expect(breaker.state).toBe('open');
+    });
+
+    it('does not count errors that show the upstream is reachable', async () => {
+        const badRequest = () => breaker.execute(() => Promise.reject(Object.assign(new Error('bad request'), { status: 400 }))).catch(() => {});
+
+        await fail();
+        await badRequest();
+        await badRequest();
+        expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0 });
+    });
+});
@@ -8,6 +8,43 @@ const schemas = {
         password: z.string().min(8, 'Password must be at least 8 characters').max(128)
     }),
 
+    refreshToken: z.object({
+        refreshToken: z.string().min(1, 'Refresh token is required')
+    }),
+
+    verifyEmail: z.object({
+        token: z.string().min(1, 'Token is required')
+    }),
+
+    forgotPassword: z.object({
+        email: z.string().email('Invalid email format')
+    }),
+
+    resetPassword: z.object({
+        token: z.string().min(1, 'Token is required'),
+        password: z.string().min(8, 'Password must be at least 8 characters').max(128)
+    }),
+
+    changePassword: z.object({
+        currentPassword: z.string().min(1, 'Current password is required'),
+        newPassword: z.string().min(8, 'Password must be at least 8 characters').max(128)
+    }).refine(data => data.currentPassword !== data.newPassword, {
+        message: 'New password must be different from the current password',
+        path: ['newPassword']
+    }),
+
+    deleteAccount: z.object({
+        password: z.string().min(1, 'Password is required')
+    }),
+
+    updateProfile: z.object({
+        name: z.string().min(2, 'Name must be at least 2 characters').max(100).optional(),
+        bio: z.string().max(500).nullable().optional(),
+        avatar_url: z.string().url('Invalid avatar URL').max(2048).nullable().optional()
+    }).refine(data => Object.values(data).some(value => value !== undefined), {
+        message: 'Provide at least one field to update'
+    }),
+
     loginUser: z.object({
         email: z.string().email('Invalid email format'),
         password: z.string().min(1, 'Password is required')
@@ -17,35 +54,148 @@ const schemas = {
         text: z.string().min(1).max(1000),
         image_url: z.string().url(),
         tags: z.array(z.string()).min(1).max(10),
-        username: z.string().min(1).max(50)
+        username: z.string().min(1).max(50).optional(),
+        auction: z.object({
+            starts_at: z.string().datetime({ offset: true }).optional(),
+            ends_at: z.string().datetime({ offset: true }),
+            reserve_price: z.number().min(0).optional().default(0)
+        }).refine(
+            auction => new Date(auction.ends_at) > Math.max(Date.now(), new Date(auction.starts_at || 0)),
+            { message: 'Auction must end after it starts and in the future', path: ['ends_at'] }
+        ).optional()
+    }),
+
+    updateMeme: z.object({
+        text: z.string().min(1).max(1000).optional(),
+        tags: z.array(z.string()).min(1).max(10).optional()
+    }).refine(data => data.text !== undefined || data.tags !== undefined, {
+        message: 'Provide text or tags to update'
     }),
 
     bidOnMeme: z.object({
         meme_id: z.number().int().positive(),
-        username: z.string().min(1).max(50),
+        username: z.string().min(1).max(50).optional(),
         bid_amount: z.number().positive()
     }),
 
     voteOnMeme: z.object({
         meme_id: z.number().int().positive(),
-        username: z.string().min(1).max(50),
-        voted: z.number().int().min(0).max(1) // 0 for down, 1 for up
+        username: z.string().min(1).max(50).optional(),
+        voted: z.number().int().min(0).max(1).nullable() // 0 for down, 1 for up, null to retract
     }),
 
     getLeaderboard: z.object({
-        page: z.number().int().min(1).optional().default(1),
+        cursor: z.string().min(1).optional(),
         pageSize: z.number().int().min(1).max(100).optional().default(20),
-        sortBy: z.enum(['upvote_count', 'downvote_count', 'total_bid_amount', 'created_at']).optional().default('upvote_count'),
+        sortBy: z.enum(['upvote_count', 'downvote_count', 'total_bid_amount', 'created_at', 'hot', 'rising', 'controversial', 'top_week']).optional().default('upvote_count'),
         sortOrder: z.enum(['asc', 'desc']).optional().default('desc'),
         filters: z.object({
             username: z.string().optional(),
             minUpvotes: z.number().int().min(0).optional(),
             minBidAmount: z.number().min(0).optional()
-        }).optional().default({})
+        }).optional().default({}),
+        includeTotal: z.boolean().optional().default(false)
+    }),
+
+    idParam: z.object({
+        id: z.coerce.number().int().positive()
+    }),
+
+    usernameParam: z.object({
+        username: z.string().min(1).max(50).regex(/^[a-zA-Z0-9_]+$/, 'Username can only contain letters, numbers, and underscores')
+    }),
+
+    cursorPage: z.object({
+        cursor: z.string().min(1).optional(),
+        limit: z.coerce.number().int().min(1).max(100).optional().default(20)
     }),
 
     getUserMemes: z.object({
-        username: z.string().min(1).max(50)
+        cursor: z.string().min(1).optional(),
+        limit: z.coerce.number().int().min(1).max(100).optional().default(20)
+    }),
+
+    searchMemes: z.object({
+        q: z.string().trim().min(1).max(200).optional(),
+        tags: z.string().optional()
+            .transform(value => value ? value.split(',').map(tag => tag.trim()).filter(Boolean) : [])
+            .pipe(z.array(z.string().max(50)).max(10)),
+        match: z.enum(['all', 'any']).optional().default('any'),
+        page: z.coerce.number().int().min(1).optional().default(1),
+        pageSize: z.coerce.number().int().min(1).max(100).optional().default(20)
+    }),
+
+    getTrendingTags: z.object({
+        hours: z.coerce.number().int().min(1).max(168).optional().default(24),
+        limit: z.coerce.number().int().min(1).max(50).optional().default(10)
+    }),
+
+    getWalletTransactions: z.object({
+        page: z.coerce.number().int().min(1).optional().default(1),
+        pageSize: z.coerce.number().int().min(1).max(100).optional().default(20)
+    }),
+
+    getNotifications: z.object({
+        page: z.coerce.number().int().min(1).optional().default(1),
+        pageSize: z.coerce.number().int().min(1).max(100).optional().default(20),
+        unreadOnly: z.enum(['true', 'false']).optional().default('false').transform(value => value === 'true')
+    }),
+
+    adminListUsers: z.object({
+        page: z.coerce.number().int().min(1).optional().default(1),
+        pageSize: z.coerce.number().int().min(1).max(100).optional().default(20),
+        role: z.enum(['user', 'moderator', 'admin']).optional(),
+        banned: z.enum(['true', 'false']).optional().transform(value => value === undefined ? undefined : value === 'true'),
+        search: z.string().trim().min(1).max(100).regex(/^[a-zA-Z0-9_@.+-]+$/, 'Search can only contain letters, numbers and _ @ . + -').optional()
+    }),
+
+    setRole: z.object({
+        role: z.enum(['user', 'moderator', 'admin'])
+    }),
+
+    banUser: z.object({
+        reason: z.string().trim().min(1, 'Reason is required').max(500)
+    }),
+
+    deactivateMeme: z.object({
+        reason: z.string().trim().max(500).optional()
+    }),
+
+    reportMeme: z.object({
+        reason: z.enum(['spam', 'harassment', 'hate', 'nsfw', 'violence', 'copyright', 'other']),
+        details: z.string().trim().max(1000).optional()
+    }),
+
+    listReports: z.object({
+        page: z.coerce.number().int().min(1).optional().default(1),
+        pageSize: z.coerce.number().int().min(1).max(100).optional().default(20),
+        status: z.enum(['open', 'claimed', 'resolved', 'dismissed']).optional(),
+        reason: z.enum(['spam', 'harassment', 'hate', 'nsfw', 'violence', 'copyright', 'other', 'ai_screening']).optional()
+    }),
+
+    reviewReport: z.object({
+        note: z.string().trim().max(1000).optional()
+    }),
+
+    auditLog: z.object({
+        page: z.coerce.number().int().min(1).optional().default(1),
+        pageSize: z.coerce.number().int().min(1).max(100).optional().default(50),
+        actor: z.string().min(1).max(50).optional(),
+        action: z.string().min(1).max(30).optional(),
+        targetType: z.enum(['meme', 'user', 'report']).optional(),
+        targetId: z.string().min(1).max(50).optional()
+    }),
+
+    listJobs: z.object({
+        page: z.coerce.number().int().min(1).optional().default(1),
+        pageSize: z.coerce.number().int().min(1).max(100).optional().default(20),
+        status: z.enum(['pending', 'running', 'completed', 'dead']).optional(),
+        type: z.string().min(1).max(50).optional()
+    }),
+
+    announcement: z.object({
+        message: z.string().trim().min(1).max(1000),
+        level: z.enum(['info', 'warning', 'critical']).optional().default('info')
     })
 };
 
@@ -72,7 +222,26 @@ const validate = (schema) => {
     };
 };
 
+// Path parameter validation middleware
+const validateParams = (schema) => {
+    return (req, res, next) => {
+        const result = schema.safeParse(req.params);
+        if (!result.success) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: result.error.errors.map(err => ({
+                    field: err.path.join('.'),
+                    message: err.message
+                }))
+            });
+        }
+        req.validatedParams = result.data;
+        next();
+    };
+};
+
 module.exports = {
     schemas,
-    validate
+    validate,
+    validateParams
 };
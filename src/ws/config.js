@@ -1,7 +1,12 @@
 const { Server } = require('socket.io');
 const { logger } = require('../utils/logger');
+const authService = require('../services/auth');
+const rateLimiter = require('../services/rateLimiter');
 const EventEmitter = require('events');
 
+// setTimeout overflows past ~24.8 days, so long-lived tokens are re-checked in chunks
+const MAX_TIMER_DELAY = 2147483647;
+
 class WebSocketManager extends EventEmitter {
     constructor() {
         super();
@@ -36,6 +41,7 @@ class WebSocketManager extends EventEmitter {
         };
 
         this.io = new Server(server, { ...defaultOptions, ...options });
+        this.io.use((socket, next) => this.handleHandshake(socket, next));
         this.setupEventHandlers();
         this.isInitialized = true;
         
@@ -54,6 +60,27 @@ class WebSocketManager extends EventEmitter {
         });
     }
 
+    // Verify a token passed in the handshake (socket.handshake.auth.token).
+    // Anonymous sockets are still allowed so they can receive broadcasts.
+    async handleHandshake(socket, next) {
+        const token = socket.handshake.auth && socket.handshake.auth.token;
+        if (!token) {
+            return next();
+        }
+
+        try {
+            const decoded = authService.verifyToken(token);
+            if (!(await authService.isSessionActive(decoded.sid))) {
+                throw new Error('Session has been revoked');
+            }
+            socket.data.auth = decoded;
+            next();
+        } catch (error) {
+            logger.warn(`Rejected WebSocket handshake for ${socket.id}: ${error.message}`);
+            next(new Error('authentication_error'));
+        }
+    }
+
     // Handle new socket connections
     handleConnection(socket) {
         this.connectionMetrics.totalConnections++;
@@ -64,12 +91,20 @@ class WebSocketManager extends EventEmitter {
         // Set up socket event handlers
         this.setupSocketHandlers(socket);
 
+        // Sockets that presented a valid token in the handshake are bound right away
+        if (socket.data.auth) {
+            this.bindUser(socket, socket.data.auth);
+        }
+
         // Emit connection event for external listeners
         this.emit('connection', socket);
     }
 
     // Setup individual socket event handlers
     setupSocketHandlers(socket) {
+        // Throttle every inbound event with the shared rate limiter
+        socket.use((packet, next) => this.handleRateLimit(socket, packet, next));
+
         // Authentication
         socket.on('authenticate', (data) => this.handleAuthentication(socket, data));
         
@@ -87,57 +122,159 @@ class WebSocketManager extends EventEmitter {
         socket.on('error', (error) => this.handleSocketError(socket, error));
     }
 
+    // Client address as Express's req.ip reports it with a numeric 'trust proxy':
+    // skip TRUST_PROXY hops from the right of X-Forwarded-For
+    getClientIp(socket) {
+        const hops = Number(process.env.TRUST_PROXY || 0);
+        const address = socket.handshake.address;
+        if (!hops) return address;
+
+        const forwarded = String(socket.handshake.headers['x-forwarded-for'] || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean);
+        const chain = [address, ...forwarded.reverse()];
+        return chain[Math.min(hops, chain.length - 1)];
+    }
+
+    // Drop events over the limit and tell the client when to retry
+    async handleRateLimit(socket, [event], next) {
+        const result = await rateLimiter.consume('socketEvents', {
+            username: this.userSockets.get(socket.id),
+            ip: this.getClientIp(socket)
+        });
+
+        if (!result.allowed) {
+            socket.emit('rate_limited', {
+                event,
+                retryAfter: result.resetSeconds,
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+        next();
+    }
+
     // Handle user authentication
-    handleAuthentication(socket, data) {
+    async handleAuthentication(socket, data = {}) {
         try {
             const { username, token, userData = {} } = data;
-            
-            if (!username) {
-                socket.emit('authentication_error', { error: 'Username is required' });
+
+            if (!token) {
+                socket.emit('authentication_error', { error: 'Token is required' });
                 return;
             }
 
-            // Remove user from previous socket if exists
-            this.removeUserFromPreviousSocket(username);
-            
-            // Store user connection
-            this.connectedUsers.set(username, {
-                socketId: socket.id,
-                userData: {
-                    ...userData,
-                    connectedAt: new Date().toISOString(),
-                    lastSeen: new Date().toISOString()
-                }
-            });
-            
-            this.userSockets.set(socket.id, username);
-            socket.username = username;
-            
-            // Join user to their personal room
-            socket.join(`user_${username}`);
-            
-            logger.info(`User ${username} authenticated with socket ${socket.id}`);
-            
-            // Send authentication success
-            socket.emit('authenticated', {
-                success: true,
-                message: 'Successfully authenticated',
-                username,
-                connectedUsers: this.connectedUsers.size
-            });
+            let decoded;
+            try {
+                decoded = authService.verifyToken(token);
+            } catch (error) {
+                socket.emit('authentication_error', { error: 'Invalid or expired token' });
+                return;
+            }
 
-            // Broadcast user online status
-            this.broadcastUserStatus(username, 'online');
-            
-            // Emit authentication event
-            this.emit('user_authenticated', { username, socket, userData });
-            
+            if (!(await authService.isSessionActive(decoded.sid))) {
+                socket.emit('authentication_error', { error: 'Session has been revoked' });
+                return;
+            }
+
+            if (username && username !== decoded.username) {
+                logger.warn(`Socket ${socket.id} attempted to authenticate as ${username} with a token for ${decoded.username}`);
+                socket.emit('authentication_error', { error: 'Username does not match token' });
+                return;
+            }
+
+            this.bindUser(socket, decoded, userData);
         } catch (error) {
             logger.error('Authentication error:', error);
             socket.emit('authentication_error', { error: 'Authentication failed' });
         }
     }
 
+    // Bind a socket to the username from a verified token payload
+    bindUser(socket, decoded, userData = {}) {
+        const { username } = decoded;
+
+        // Re-authenticating the same socket only refreshes the expiry timer
+        if (socket.username && socket.username !== username) {
+            socket.emit('authentication_error', { error: 'Socket is already authenticated as another user' });
+            return;
+        }
+
+        // Remove user from previous socket if exists
+        if (socket.username !== username) {
+            this.removeUserFromPreviousSocket(username);
+        }
+
+        // Store user connection
+        this.connectedUsers.set(username, {
+            socketId: socket.id,
+            userData: {
+                ...userData,
+                connectedAt: new Date().toISOString(),
+                lastSeen: new Date().toISOString()
+            }
+        });
+
+        this.userSockets.set(socket.id, username);
+        socket.username = username;
+        socket.data.sessionId = decoded.sid;
+        this.scheduleTokenExpiry(socket, decoded.exp);
+
+        // Join user to their personal room
+        socket.join(`user_${username}`);
+
+        logger.info(`User ${username} authenticated with socket ${socket.id}`);
+
+        // Send authentication success
+        socket.emit('authenticated', {
+            success: true,
+            message: 'Successfully authenticated',
+            username,
+            expiresAt: decoded.exp ? new Date(decoded.exp * 1000).toISOString() : null,
+            connectedUsers: this.connectedUsers.size
+        });
+
+        // Broadcast user online status
+        this.broadcastUserStatus(username, 'online');
+
+        // Emit authentication event
+        this.emit('user_authenticated', { username, socket, userData });
+    }
+
+    // Disconnect the socket once its token expires
+    scheduleTokenExpiry(socket, exp) {
+        this.clearTokenExpiry(socket);
+        if (!exp) return;
+
+        const delay = exp * 1000 - Date.now();
+        if (delay <= 0) {
+            this.expireSocket(socket);
+            return;
+        }
+
+        socket.data.expiryTimer = setTimeout(() => {
+            if (delay > MAX_TIMER_DELAY) {
+                this.scheduleTokenExpiry(socket, exp);
+            } else {
+                this.expireSocket(socket);
+            }
+        }, Math.min(delay, MAX_TIMER_DELAY));
+    }
+
+    clearTokenExpiry(socket) {
+        if (socket.data.expiryTimer) {
+            clearTimeout(socket.data.expiryTimer);
+            socket.data.expiryTimer = null;
+        }
+    }
+
+    expireSocket(socket) {
+        logger.info(`Token expired for user ${socket.username} on socket ${socket.id}`);
+        socket.emit('token_expired', { message: 'Authentication token expired' });
+        socket.disconnect(true);
+    }
+
     // Handle ping/heartbeat
     handlePing(socket) {
         socket.emit('pong', { 
@@ -213,6 +350,7 @@ class WebSocketManager extends EventEmitter {
         this.connectionMetrics.totalDisconnections++;
         
         logger.info(`Socket ${socket.id} disconnected: ${reason}`);
+        this.clearTokenExpiry(socket);
         
         const username = this.userSockets.get(socket.id);
         if (username) {
@@ -259,6 +397,31 @@ class WebSocketManager extends EventEmitter {
         }
     }
 
+    // Force-disconnect a user's live socket, optionally only for one session
+    disconnectUser(username, reason = 'session_revoked', sessionId = null) {
+        const userInfo = this.connectedUsers.get(username);
+        if (!userInfo || !this.io) return false;
+
+        const socket = this.io.sockets.sockets.get(userInfo.socketId);
+        if (!socket || (sessionId && socket.data.sessionId !== sessionId)) return false;
+
+        socket.emit('force_disconnect', { reason });
+        socket.disconnect(true);
+        logger.info(`Disconnected user ${username} (${reason})`);
+        return true;
+    }
+
+    // Disconnect the user's socket unless it belongs to the session being kept
+    disconnectOtherSessions(username, keepSessionId, reason = 'session_revoked') {
+        const userInfo = this.connectedUsers.get(username);
+        if (!userInfo || !this.io) return false;
+
+        const socket = this.io.sockets.sockets.get(userInfo.socketId);
+        if (!socket || socket.data.sessionId === keepSessionId) return false;
+
+        return this.disconnectUser(username, reason);
+    }
+
     // Broadcast user status change
     broadcastUserStatus(username, status) {
         this.io.emit('user_status', {
@@ -120,7 +120,7 @@ class MessageService {
         });
     }
 
-    async broadcastVoteUpdate(memeId, voteType, username, newCount, memeName, upvotes, downvotes) {
+    async broadcastVoteUpdate(memeId, voteType, username, newCount, memeName, upvotes, downvotes, previousVote = null, currentVote = null) {
         return this.broadcast('vote_update', {
             type: 'VOTE_UPDATE',
             data: {
@@ -128,11 +128,15 @@ class MessageService {
                 voteType,
                 username,
                 newCount,
-                action: 'vote_cast',
-                message: `User ${username} ${voteType}d meme ${memeName}!`,
+                action: voteType === 'retract' ? 'vote_retracted' : 'vote_cast',
+                message: voteType === 'retract'
+                    ? `User ${username} removed their vote on meme ${memeName}`
+                    : `User ${username} ${voteType}voted meme ${memeName}!`,
                 memeName,
                 upvotes,
-                downvotes
+                downvotes,
+                previousVote,
+                currentVote
             }
         });
     }
@@ -160,6 +164,83 @@ class MessageService {
         });
     }
 
+    async broadcastAuctionExtended(memeId, endsAt, memeName) {
+        return this.broadcast('auction_extended', {
+            type: 'AUCTION_EXTENDED',
+            data: {
+                message: `Late bid! Auction for ${memeName} extended`,
+                memeId,
+                endsAt,
+                action: 'auction_extended'
+            }
+        });
+    }
+
+    async broadcastAuctionClosed(memeId, memeName, winner, winningAmount, reserveMet) {
+        return this.broadcast('auction_closed', {
+            type: 'AUCTION_CLOSED',
+            data: {
+                message: winner
+                    ? `${winner} won ${memeName} for ${winningAmount} credits!`
+                    : `Auction for ${memeName} closed without a winner`,
+                memeId,
+                winner,
+                winningAmount,
+                reserveMet,
+                action: 'auction_closed'
+            }
+        });
+    }
+
+    async broadcastMemeUpdated(memeData) {
+        return this.broadcast('meme_updated', {
+            type: 'MEME_UPDATED',
+            data: {
+                message: `Meme ${memeData.id} was updated`,
+                meme: memeData,
+                action: 'meme_updated'
+            }
+        });
+    }
+
+    // Caption and vibe description arrived from the background enrichment job
+    async broadcastMemeEnriched(memeId, enrichment) {
+        return this.broadcast('meme_enriched', {
+            type: 'MEME_ENRICHED',
+            data: {
+                message: `Meme ${memeId} was enriched`,
+                memeId,
+                ...enrichment,
+                action: 'meme_enriched'
+            }
+        });
+    }
+
+    async broadcastMemeDeleted(memeId, deletedBy) {
+        return this.broadcast('meme_deleted', {
+            type: 'MEME_DELETED',
+            data: {
+                message: `Meme ${memeId} was removed`,
+                memeId,
+                deletedBy,
+                action: 'meme_deleted'
+            }
+        });
+    }
+
+    // Push a new meme to the creator's followers who are currently online
+    async sendNewMemeToFollowers(followers, memeData) {
+        const onlineFollowers = followers.filter(username => this.wsManager.isUserOnline(username));
+        return this.sendToUsers(onlineFollowers, 'new_meme', {
+            type: 'NEW_MEME',
+            data: {
+                message: `New meme posted by ${memeData.username}!`,
+                meme: memeData,
+                action: 'meme_created'
+            }
+        });
+    }
+
     // User-specific notifications
     async notifyUser(username, notification) {
         return this.sendToUser(username, 'notification', {
@@ -171,6 +252,17 @@ class MessageService {
         });
     }
 
+    async sendUnreadNotifications(username, notifications, unreadCount) {
+        return this.sendToUser(username, 'unread_notifications', {
+            type: 'UNREAD_NOTIFICATIONS',
+            data: {
+                notifications,
+                unreadCount,
+                action: 'notifications_replayed'
+            }
+        });
+    }
+
     // System announcements
     async systemAnnouncement(message, level = 'info') {
         return this.broadcast('system_announcement', {